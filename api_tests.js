@@ -1,6 +1,8 @@
 #!/usr/bin/env node
 
 const axios = require('axios');
+const crypto = require('crypto');
+const http = require('http');
 
 const BASE_URL = 'http://localhost:3001';
 const API_URL = `${BASE_URL}/api`;
@@ -233,10 +235,1109 @@ const testDataIntegrity = async () => {
     return `All ${validRecipes} recipes passed data integrity checks`;
 };
 
+const testRecipeCrud = async () => {
+    const created = await axios.post(`${API_URL}/recipes`, {
+        title: 'API Test Recipe',
+        cuisine: 'Test Kitchen',
+        rating: '4.2',
+        prep_time: 10,
+        cook_time: 'NaN',
+        nutrients: { calories: '250 kcal', fatContent: 'NaN' }
+    });
+    if (created.status !== 201) {
+        throw new Error(`Expected status 201, got ${created.status}`);
+    }
+    const id = created.data.id;
+    if (created.data.rating !== 4.2 || created.data.cook_time !== null || 'fatContent' in created.data.nutrients) {
+        throw new Error('Created recipe was not cleaned like imported data');
+    }
+    
+    const fetched = await axios.get(`${API_URL}/recipes/${id}`);
+    if (fetched.data.title !== 'API Test Recipe') {
+        throw new Error(`Expected fetched title to match, got ${fetched.data.title}`);
+    }
+    
+    const patched = await axios.patch(`${API_URL}/recipes/${id}`, { total_time: 30 });
+    if (patched.data.total_time !== 30 || patched.data.title !== 'API Test Recipe') {
+        throw new Error('PATCH did not update only the given field');
+    }
+    
+    const replaced = await axios.put(`${API_URL}/recipes/${id}`, { title: 'Replaced Recipe' });
+    if (replaced.data.cuisine !== null) {
+        throw new Error('PUT did not replace omitted fields');
+    }
+    
+    await axios.delete(`${API_URL}/recipes/${id}`);
+    const missing = await axios.get(`${API_URL}/recipes/${id}`, { validateStatus: () => true });
+    if (missing.status !== 404) {
+        throw new Error(`Expected 404 after delete, got ${missing.status}`);
+    }
+    
+    return `Created, read, updated and deleted recipe ${id}`;
+};
+
+const testRecipeValidation = async () => {
+    const response = await axios.post(`${API_URL}/recipes`, {
+        rating: 9,
+        prep_time: 'soon'
+    }, { validateStatus: () => true });
+    if (response.status !== 400) {
+        throw new Error(`Expected status 400, got ${response.status}`);
+    }
+    
+    const fields = response.data.fields.map(error => error.field).sort();
+    if (fields.join(',') !== 'prep_time,rating,title') {
+        throw new Error(`Unexpected invalid fields: ${fields.join(', ')}`);
+    }
+    
+    return `Rejected invalid fields: ${fields.join(', ')}`;
+};
+
+const testIdempotentImport = async () => {
+    const recipes = {
+        a: { title: 'Import Test Stew', cuisine: 'Test Kitchen', rating: 'NaN', total_time: '45' },
+        b: { title: 'import test stew', cuisine: 'test kitchen' },
+        c: { cuisine: 'Test Kitchen' }
+    };
+    
+    const dryRun = await axios.post(`${API_URL}/admin/import`, { recipes, dryRun: true });
+    const first = await axios.post(`${API_URL}/admin/import`, { recipes });
+    const second = await axios.post(`${API_URL}/admin/import`, { recipes });
+    
+    const { counts } = second.data;
+    if (counts.inserted !== 0 || counts.updated !== 0 || counts.skipped !== 2 || counts.rejected !== 1) {
+        throw new Error(`Second import was not idempotent: ${JSON.stringify(counts)}`);
+    }
+    if (second.data.rejected[0].sourceKey !== 'c') {
+        throw new Error('Expected the recipe without a title to be rejected');
+    }
+    if (dryRun.data.counts.inserted !== first.data.counts.inserted) {
+        throw new Error('Dry run counts differ from the real import');
+    }
+    
+    const search = await axios.get(`${API_URL}/recipes/search?title=Import Test Stew`);
+    await Promise.all(search.data.data.map(recipe => axios.delete(`${API_URL}/recipes/${recipe.id}`)));
+    
+    return `Re-import skipped ${counts.skipped} unchanged rows and rejected ${counts.rejected}`;
+};
+
+const testIngredientsAndInstructions = async () => {
+    const created = await axios.post(`${API_URL}/recipes`, {
+        title: 'Ingredient Test Salad',
+        ingredients: ['1 1/2 cups chopped chicken', '2 tbsp. olive oil', 'salt to taste'],
+        instructions: ['Toss everything together.', 'Serve cold.']
+    });
+    const id = created.data.id;
+    
+    try {
+        const { data } = await axios.get(`${API_URL}/recipes/${id}`);
+        const [chicken, oil] = data.ingredients;
+        if (chicken.quantity !== 1.5 || chicken.unit !== 'cup' || chicken.name !== 'chopped chicken') {
+            throw new Error(`Unexpected parsed ingredient: ${JSON.stringify(chicken)}`);
+        }
+        if (oil.unit !== 'tablespoon' || data.instructions[1] !== 'Serve cold.') {
+            throw new Error('Ingredients or instructions were not stored in order');
+        }
+        
+        const included = await axios.get(`${API_URL}/recipes/search?title=Ingredient Test&ingredients=chicken`);
+        const excluded = await axios.get(`${API_URL}/recipes/search?title=Ingredient Test&ingredients=chicken,!olive oil`);
+        if (included.data.total !== 1 || excluded.data.total !== 0) {
+            throw new Error('Ingredient include/exclude filters did not match');
+        }
+    } finally {
+        await axios.delete(`${API_URL}/recipes/${id}`);
+    }
+    
+    return 'Parsed ingredients, ordered steps and ingredient filters verified';
+};
+
+const testNumericFilterGrammar = async () => {
+    const response = await axios.get(`${API_URL}/recipes/search?rating=4..5&calories=>=100kcal,<=400&limit=50`);
+    const { data } = response.data;
+    
+    for (const recipe of data) {
+        if (recipe.rating < 4 || recipe.rating > 5) {
+            throw new Error(`Recipe "${recipe.title}" has rating ${recipe.rating} outside 4..5`);
+        }
+        const calories = parseFloat(recipe.nutrients.calories);
+        if (calories < 100 || calories > 400) {
+            throw new Error(`Recipe "${recipe.title}" has ${calories} calories outside 100..400`);
+        }
+    }
+    
+    const sodium = await axios.get(`${API_URL}/recipes/search?sodiumContent=<=0.5g&limit=50`);
+    for (const recipe of sodium.data.data) {
+        if (parseFloat(recipe.nutrients.sodiumContent) > 500) {
+            throw new Error(`Recipe "${recipe.title}" has ${recipe.nutrients.sodiumContent} sodium > 500 mg`);
+        }
+    }
+    
+    return `Found ${data.length} recipes rated 4..5 with 100..400 calories`;
+};
+
+const testMalformedFilter = async () => {
+    const response = await axios.get(`${API_URL}/recipes/search?rating=>=abc&protein=>=20kg..1g`, {
+        validateStatus: () => true
+    });
+    if (response.status !== 400) {
+        throw new Error(`Expected status 400, got ${response.status}`);
+    }
+    
+    const fields = response.data.fields.map(error => error.field);
+    if (!fields.includes('rating') || !fields.includes('protein')) {
+        throw new Error(`Expected rating and protein errors, got ${fields.join(', ')}`);
+    }
+    
+    return `Rejected malformed filters: ${fields.join(', ')}`;
+};
+
+const testFullTextSearch = async () => {
+    const response = await axios.get(`${API_URL}/recipes/search?q=${encodeURIComponent('"sweet potato" pie*')}`);
+    const { data } = response.data;
+    
+    for (let i = 0; i < data.length; i++) {
+        const recipe = data[i];
+        const text = `${recipe.title} ${recipe.cuisine} ${recipe.description}`.toLowerCase();
+        if (!text.includes('sweet potato')) {
+            throw new Error(`Recipe "${recipe.title}" does not mention "sweet potato"`);
+        }
+        const { highlights } = recipe;
+        if (!highlights || !`${highlights.title}${highlights.description}`.includes('<mark>')) {
+            throw new Error(`Recipe "${recipe.title}" has no highlighted match`);
+        }
+        if (i > 0 && recipe.rank > data[i - 1].rank) {
+            throw new Error('Results are not ordered by relevance');
+        }
+    }
+    
+    const invalid = await axios.get(`${API_URL}/recipes/search?q=pie&rating_weight=2`, { validateStatus: () => true });
+    if (invalid.status !== 400) {
+        throw new Error(`Expected status 400 for rating_weight=2, got ${invalid.status}`);
+    }
+    
+    return `Found ${data.length} ranked and highlighted matches for "sweet potato" pie*`;
+};
+
+const testCustomSorting = async () => {
+    const response = await axios.get(`${API_URL}/recipes/search?sort=total_time:asc,rating:desc&total_time=>0&limit=20`);
+    const { data, sort } = response.data;
+    
+    if (sort !== 'total_time:asc,rating:desc') {
+        throw new Error(`Unexpected sort echoed: ${sort}`);
+    }
+    for (let i = 0; i < data.length - 1; i++) {
+        if (data[i].total_time > data[i + 1].total_time) {
+            throw new Error(`Recipes not sorted by total_time: ${data[i].total_time} > ${data[i + 1].total_time}`);
+        }
+    }
+    
+    const invalid = await axios.get(`${API_URL}/recipes?sort=colour`, { validateStatus: () => true });
+    if (invalid.status !== 400) {
+        throw new Error(`Expected status 400 for an unknown sort field, got ${invalid.status}`);
+    }
+    
+    return `Sorted ${data.length} recipes by total_time then rating`;
+};
+
+const testCursorPagination = async () => {
+    const byPage = await axios.get(`${API_URL}/recipes?limit=6&sort=title`);
+    const first = await axios.get(`${API_URL}/recipes?limit=3&sort=title&count=false`);
+    const second = await axios.get(`${API_URL}/recipes?limit=3&sort=title&count=false&cursor=${first.data.next_cursor}`);
+    
+    if (first.data.total !== null) {
+        throw new Error('Expected total to be null with count=false');
+    }
+    
+    const expected = byPage.data.data.map(recipe => recipe.id);
+    const actual = [...first.data.data, ...second.data.data].map(recipe => recipe.id);
+    if (expected.join(',') !== actual.join(',')) {
+        throw new Error(`Cursor pages ${actual.join(',')} differ from offset page ${expected.join(',')}`);
+    }
+    
+    const back = await axios.get(`${API_URL}/recipes?limit=3&sort=title&cursor=${second.data.prev_cursor}`);
+    if (back.data.data.map(recipe => recipe.id).join(',') !== expected.slice(0, 3).join(',')) {
+        throw new Error('prev_cursor did not return to the first page');
+    }
+    
+    const mismatch = await axios.get(`${API_URL}/recipes?limit=3&sort=rating&cursor=${first.data.next_cursor}`, {
+        validateStatus: () => true
+    });
+    if (mismatch.status !== 400) {
+        throw new Error(`Expected status 400 for a cursor from another sort, got ${mismatch.status}`);
+    }
+    
+    return `Walked forward and back across ${actual.length} recipes with cursors`;
+};
+
+const testSearchFacets = async () => {
+    const response = await axios.get(`${API_URL}/recipes/search?rating=>=4&facets=all`);
+    const { total, facets } = response.data;
+    
+    const cuisineTotal = facets.cuisine.values.reduce((sum, entry) => sum + entry.count, 0) + facets.cuisine.missing;
+    if (facets.cuisine.values.length < 50 && cuisineTotal !== total) {
+        throw new Error(`Cuisine facet counts ${cuisineTotal} recipes, search matched ${total}`);
+    }
+    
+    const lowBand = facets.rating.buckets.find(bucket => bucket.max === 3);
+    if (lowBand.count !== 0) {
+        throw new Error('Rating facet ignored the rating>=4 filter');
+    }
+    
+    const band = facets.total_time.buckets.find(bucket => bucket.count > 0);
+    if (band) {
+        const narrowed = await axios.get(`${API_URL}/recipes/search?rating=>=4&total_time=${encodeURIComponent(band.filter)}`);
+        if (narrowed.data.total !== band.count) {
+            throw new Error(`Band ${band.label} counted ${band.count}, its filter matched ${narrowed.data.total}`);
+        }
+    }
+    
+    const invalid = await axios.get(`${API_URL}/recipes/search?facets=colour`, { validateStatus: () => true });
+    if (invalid.status !== 400) {
+        throw new Error(`Expected status 400 for an unknown facet, got ${invalid.status}`);
+    }
+    
+    return `Facets cover ${total} recipes across ${facets.cuisine.values.length} cuisines`;
+};
+
+// Register an account, or log in if it already exists
+const signIn = async (email, password) => {
+    const response = await axios.post(`${API_URL}/auth/register`, { email, password }, { validateStatus: () => true });
+    if (response.status === 201) {
+        return response.data;
+    }
+    return (await axios.post(`${API_URL}/auth/login`, { email, password })).data;
+};
+
+const testAuthentication = async () => {
+    const anonymous = { headers: { Authorization: '' }, validateStatus: () => true };
+    const denied = await axios.post(`${API_URL}/recipes`, { title: 'Anonymous Recipe' }, anonymous);
+    if (denied.status !== 401) {
+        throw new Error(`Expected 401 for an anonymous write, got ${denied.status}`);
+    }
+    
+    const email = `viewer-${Date.now()}@example.com`;
+    const viewer = await signIn(email, 'viewer-password');
+    if (viewer.user.role !== 'viewer') {
+        throw new Error(`Expected a new account to be a viewer, got ${viewer.user.role}`);
+    }
+    const viewerHeaders = { headers: { Authorization: `Bearer ${viewer.access_token}` }, validateStatus: () => true };
+    const forbidden = await axios.post(`${API_URL}/recipes`, { title: 'Viewer Recipe' }, viewerHeaders);
+    if (forbidden.status !== 403) {
+        throw new Error(`Expected 403 for a viewer write, got ${forbidden.status}`);
+    }
+    const me = await axios.get(`${API_URL}/auth/me`, viewerHeaders);
+    if (me.data.email !== email) {
+        throw new Error('GET /auth/me did not return the signed-in user');
+    }
+    
+    const refreshed = await axios.post(`${API_URL}/auth/refresh`, { refresh_token: viewer.refresh_token });
+    const reused = await axios.post(`${API_URL}/auth/refresh`, { refresh_token: viewer.refresh_token }, { validateStatus: () => true });
+    if (!refreshed.data.access_token || reused.status !== 401) {
+        throw new Error('Refresh tokens were not rotated');
+    }
+    
+    const wrongPassword = await axios.post(`${API_URL}/auth/login`, { email, password: 'not-the-password' }, { validateStatus: () => true });
+    if (wrongPassword.status !== 401) {
+        throw new Error(`Expected 401 for a wrong password, got ${wrongPassword.status}`);
+    }
+    
+    return 'Anonymous and viewer writes rejected, refresh token rotated';
+};
+
+const testRecipeReviews = async () => {
+    const created = await axios.post(`${API_URL}/recipes`, { title: 'Review Test Soup', rating: 2 });
+    const id = created.data.id;
+    
+    const first = await axios.post(`${API_URL}/recipes/${id}/reviews`, { score: 5, text: 'Lovely' });
+    if (first.status !== 201 || first.data.recipe.rating !== 5 || first.data.recipe.review_count !== 1) {
+        throw new Error(`Expected rating 5 from one review, got ${JSON.stringify(first.data.recipe)}`);
+    }
+    
+    const viewer = await signIn(`reviewer-${Date.now()}@example.com`, 'reviewer-password');
+    const viewerHeaders = { headers: { Authorization: `Bearer ${viewer.access_token}` } };
+    await axios.post(`${API_URL}/recipes/${id}/reviews`, { score: 4 }, viewerHeaders);
+    
+    // A second review from the same user replaces the first
+    const replaced = await axios.post(`${API_URL}/recipes/${id}/reviews`, { score: 3, text: 'Fine' });
+    if (replaced.status !== 200 || replaced.data.recipe.rating !== 3.5 || replaced.data.recipe.review_count !== 2) {
+        throw new Error(`Expected rating 3.5 from two reviews, got ${JSON.stringify(replaced.data.recipe)}`);
+    }
+    
+    const listed = await axios.get(`${API_URL}/recipes/${id}/reviews?limit=1`);
+    if (listed.data.total !== 2 || listed.data.data.length !== 1 || listed.data.data[0].score !== 3) {
+        throw new Error('Review listing did not return the newest review first');
+    }
+    
+    const invalid = await axios.post(`${API_URL}/recipes/${id}/reviews`, { score: 6 }, { validateStatus: () => true });
+    if (invalid.status !== 400) {
+        throw new Error(`Expected 400 for an out-of-range score, got ${invalid.status}`);
+    }
+    
+    // Removing every review restores the source rating
+    await axios.delete(`${API_URL}/recipes/${id}/reviews/${replaced.data.review.id}`);
+    const viewerReview = await axios.get(`${API_URL}/recipes/${id}/reviews`);
+    await axios.delete(`${API_URL}/recipes/${id}/reviews/${viewerReview.data.data[0].id}`);
+    const restored = await axios.get(`${API_URL}/recipes/${id}`);
+    await axios.delete(`${API_URL}/recipes/${id}`);
+    if (restored.data.rating !== 2 || restored.data.review_count !== 0) {
+        throw new Error(`Expected the source rating back, got ${restored.data.rating}`);
+    }
+    
+    return 'Reviews recomputed the average rating and count';
+};
+
+const testFavoritesAndCollections = async () => {
+    const recipes = (await axios.get(`${API_URL}/recipes?limit=3`)).data.data;
+    const [first, second, third] = recipes.map(recipe => recipe.id);
+    
+    await axios.put(`${API_URL}/favorites/${first}`);
+    await axios.put(`${API_URL}/favorites/${first}`);
+    const favoriteIds = (await axios.get(`${API_URL}/favorites/ids`)).data.data;
+    const favorites = (await axios.get(`${API_URL}/favorites`)).data;
+    await axios.delete(`${API_URL}/favorites/${first}`);
+    if (!favoriteIds.includes(first) || !favorites.data.some(recipe => recipe.id === first)) {
+        throw new Error('Favorited recipe was not listed');
+    }
+    
+    const collection = (await axios.post(`${API_URL}/collections`, { name: 'Test Weeknight Dinners' })).data;
+    const base = `${API_URL}/collections/${collection.id}`;
+    for (const recipeId of [first, second, third]) {
+        await axios.post(`${base}/recipes`, { recipe_id: recipeId });
+    }
+    await axios.put(`${base}/recipes/order`, { recipe_ids: [third, first, second] });
+    await axios.delete(`${base}/recipes/${first}`);
+    await axios.patch(base, { name: 'Test Quick Dinners' });
+    
+    const share = (await axios.post(`${base}/share`)).data;
+    const shared = await axios.get(`${API_URL}/shared/collections/${share.share_token}`, { headers: { Authorization: '' } });
+    const order = shared.data.recipes.map(recipe => recipe.id).join(',');
+    if (shared.data.name !== 'Test Quick Dinners' || order !== `${third},${second}`) {
+        throw new Error(`Shared collection did not match: ${shared.data.name} [${order}]`);
+    }
+    
+    const other = await signIn(`collector-${Date.now()}@example.com`, 'collector-password');
+    const foreign = await axios.get(base, { headers: { Authorization: `Bearer ${other.access_token}` }, validateStatus: () => true });
+    if (foreign.status !== 404) {
+        throw new Error(`Expected 404 for another user's collection, got ${foreign.status}`);
+    }
+    
+    await axios.delete(`${base}/share`);
+    const revoked = await axios.get(`${API_URL}/shared/collections/${share.share_token}`, { validateStatus: () => true });
+    await axios.delete(base);
+    if (revoked.status !== 404) {
+        throw new Error(`Expected 404 after revoking the share link, got ${revoked.status}`);
+    }
+    
+    return `Favorited, collected, reordered and shared ${recipes.length} recipes`;
+};
+
+const testServingScaling = async () => {
+    const created = await axios.post(`${API_URL}/recipes`, {
+        title: 'Scaling Test Chili',
+        serves: 'Serves 4 to 6',
+        nutrients: { calories: '250 kcal', sodiumContent: '1,200 mg' },
+        ingredients: ['2 cups kidney beans', 'salt to taste']
+    });
+    const id = created.data.id;
+    
+    if (created.data.servings !== 4 || created.data.nutrition.sodiumContent.value !== 1200) {
+        throw new Error(`Servings or nutrition were not parsed: ${created.data.servings}, ${JSON.stringify(created.data.nutrition)}`);
+    }
+    
+    const scaled = (await axios.get(`${API_URL}/recipes/${id}?servings=8`)).data.scaled;
+    const invalid = await axios.get(`${API_URL}/recipes/${id}?servings=0`, { validateStatus: () => true });
+    await axios.delete(`${API_URL}/recipes/${id}`);
+    
+    if (scaled.factor !== 2 || scaled.nutrients.calories.value !== 2000 || scaled.nutrients.calories.unit !== 'kcal') {
+        throw new Error(`Unexpected scaled nutrients: ${JSON.stringify(scaled)}`);
+    }
+    if (scaled.ingredients[0].quantity !== 4 || scaled.ingredients[1].quantity !== null) {
+        throw new Error(`Unexpected scaled ingredients: ${JSON.stringify(scaled.ingredients)}`);
+    }
+    if (invalid.status !== 400) {
+        throw new Error(`Expected 400 for servings=0, got ${invalid.status}`);
+    }
+    
+    return 'Scaled 4 servings to 8 with doubled ingredients and nutrient totals';
+};
+
+const testMealPlanner = async () => {
+    const hearty = (await axios.post(`${API_URL}/recipes`, {
+        title: 'Planner Test Lasagna', nutrients: { calories: '1200 kcal', sodiumContent: '1.5 g' }
+    })).data;
+    const light = (await axios.post(`${API_URL}/recipes`, {
+        title: 'Planner Test Salad', nutrients: { calories: '900 kcal' }
+    })).data;
+    
+    const plan = (await axios.post(`${API_URL}/meal-plans`, {
+        name: 'Test Week', start_date: '2026-10-19', days: 2, targets: { calories: 2000 }
+    })).data;
+    const base = `${API_URL}/meal-plans/${plan.id}`;
+    await axios.put(`${base}/slots/0/breakfast`, { recipe_id: hearty.id });
+    await axios.put(`${base}/slots/0/dinner`, { recipe_id: light.id });
+    await axios.put(`${base}/slots/1/lunch`, { recipe_id: hearty.id, servings: 0.5 });
+    
+    const invalid = await axios.put(`${base}/slots/5/brunch`, { recipe_id: hearty.id }, { validateStatus: () => true });
+    const summary = (await axios.get(`${base}/summary`)).data;
+    const detail = (await axios.get(base)).data;
+    
+    await axios.delete(base);
+    await axios.delete(`${API_URL}/recipes/${hearty.id}`);
+    await axios.delete(`${API_URL}/recipes/${light.id}`);
+    
+    if (invalid.status !== 400 || invalid.data.fields.length !== 2) {
+        throw new Error(`Expected 400 with day and meal errors, got ${invalid.status}`);
+    }
+    if (detail.slots.length !== 3 || detail.slots[1].meal !== 'dinner') {
+        throw new Error('Meal plan slots were not returned in day and meal order');
+    }
+    const [first, second] = summary.days;
+    if (first.totals.calories !== 2100 || second.totals.calories !== 600 || first.totals.sodiumContent !== 1500) {
+        throw new Error(`Unexpected daily totals: ${JSON.stringify(summary.days.map(day => day.totals))}`);
+    }
+    if (summary.totals.calories !== 2700 || summary.daily_average.calories !== 1350 || second.date !== '2026-10-20') {
+        throw new Error(`Unexpected plan totals: ${JSON.stringify(summary.totals)}`);
+    }
+    if (first.over_targets.length !== 1 || first.over_targets[0].meal !== 'dinner' || second.over_targets.length !== 0) {
+        throw new Error(`Unexpected over-target report: ${JSON.stringify(first.over_targets)}`);
+    }
+    
+    return 'Summed 2 days of meals and flagged the slot over the calorie target';
+};
+
+const testMealPlanGenerator = async () => {
+    const cuisine = 'Generator Test Cuisine';
+    const recipes = [];
+    for (const [title, calories] of [['Small', 500], ['Medium', 700], ['Large', 900]]) {
+        recipes.push((await axios.post(`${API_URL}/recipes`, {
+            title: `Generator Test ${title}`, cuisine, total_time: 20, nutrients: { calories: `${calories} kcal` }
+        })).data);
+    }
+    
+    const constraints = {
+        start_date: '2026-10-19', days: 2, meals: ['lunch', 'dinner'], cuisines: [cuisine],
+        max_total_time: 30, calories: { min: 1100, max: 1300 }, no_repeat_days: 1, seed: 42
+    };
+    const first = (await axios.post(`${API_URL}/meal-plans/generate`, { ...constraints, dry_run: true })).data;
+    const second = (await axios.post(`${API_URL}/meal-plans/generate`, { ...constraints, dry_run: true })).data;
+    const strict = (await axios.post(`${API_URL}/meal-plans/generate`, { ...constraints, no_repeat_days: 2, dry_run: true })).data;
+    const saved = await axios.post(`${API_URL}/meal-plans/generate`, constraints);
+    const none = await axios.post(`${API_URL}/meal-plans/generate`, { ...constraints, max_total_time: 5 }, { validateStatus: () => true });
+    
+    await axios.delete(`${API_URL}/meal-plans/${saved.data.id}`);
+    for (const recipe of recipes) {
+        await axios.delete(`${API_URL}/recipes/${recipe.id}`);
+    }
+    
+    if (!first.complete || first.slots.length !== 4 || first.summary.days.some(day => day.totals.calories !== 1200)) {
+        throw new Error(`Expected 2 complete days of 1200 kcal, got ${JSON.stringify(first.summary.days.map(day => day.totals))}`);
+    }
+    if (JSON.stringify(first.slots) !== JSON.stringify(second.slots) || first.seed !== 42) {
+        throw new Error('The same seed produced different plans');
+    }
+    if (strict.complete || !strict.unmet.some(entry => entry.constraint === 'no_repeat_days')) {
+        throw new Error(`Expected an unmet no-repeat window, got ${JSON.stringify(strict.unmet)}`);
+    }
+    if (saved.status !== 201 || !saved.data.id || saved.data.slots.length !== 4) {
+        throw new Error(`Expected the generated plan to be saved, got ${saved.status}`);
+    }
+    if (none.status !== 422 || none.data.unmet.length !== 1) {
+        throw new Error(`Expected 422 when no recipe matches, got ${none.status}`);
+    }
+    
+    return 'Generated a reproducible plan within the calorie range and reported unmet constraints';
+};
+
+const testExports = async () => {
+    const created = [];
+    for (const title of ['Export Test "Quoted", Pie', 'Export Test Stew']) {
+        created.push((await axios.post(`${API_URL}/recipes`, {
+            title, cuisine: 'Export Test', prep_time: 15, cook_time: 75, serves: '4 servings', description: '=1+1',
+            nutrients: { calories: '420 kcal', sodiumContent: '0.5 g' },
+            ingredients: ['2 cups flour', '1 <b>pinch</b> salt'], instructions: ['Mix.', 'Bake.']
+        })).data);
+    }
+    
+    const csv = await axios.get(`${API_URL}/recipes/export`, { params: { format: 'csv', title: 'Export Test', sort: 'title' }, responseType: 'text' });
+    const ndjson = await axios.get(`${API_URL}/recipes/export`, { params: { format: 'ndjson', cuisine: 'Export Test' }, responseType: 'text' });
+    const search = await axios.get(`${API_URL}/recipes/search`, { params: { cuisine: 'Export Test' } });
+    const invalid = await axios.get(`${API_URL}/recipes/export`, { params: { format: 'xml' }, validateStatus: () => true });
+    const jsonLd = await axios.get(`${API_URL}/recipes/${created[0].id}/export`, { params: { format: 'jsonld' } });
+    const html = await axios.get(`${API_URL}/recipes/${created[0].id}/export`, { params: { format: 'html' }, responseType: 'text' });
+    const pdf = await axios.get(`${API_URL}/recipes/${created[0].id}/export`, { params: { format: 'pdf', download: 'true' }, responseType: 'arraybuffer' });
+    
+    for (const recipe of created) {
+        await axios.delete(`${API_URL}/recipes/${recipe.id}`);
+    }
+    
+    const lines = csv.data.trim().split('\r\n');
+    if (!csv.headers['content-type'].startsWith('text/csv') || !lines[0].startsWith('id,title,cuisine') || !lines[0].includes('sodiumContent_mg')) {
+        throw new Error(`Unexpected CSV header: ${lines[0]}`);
+    }
+    if (!lines[1].includes('"Export Test ""Quoted"", Pie"') || !lines[1].includes(',420,,,,,,500,')) {
+        throw new Error(`CSV row was not escaped or converted as expected: ${lines[1]}`);
+    }
+    if (!lines[1].includes(",'=1+1,")) {
+        throw new Error(`CSV cell starting with = was not neutralised: ${lines[1]}`);
+    }
+    const records = ndjson.data.trim().split('\n').map(line => JSON.parse(line));
+    if (records.length !== search.data.total || records[0].ingredients.length !== 2 || records[0].instructions[1] !== 'Bake.') {
+        throw new Error(`NDJSON export returned ${records.length} recipes, search found ${search.data.total}`);
+    }
+    if (invalid.status !== 400) {
+        throw new Error(`Expected 400 for an unknown format, got ${invalid.status}`);
+    }
+    if (jsonLd.data['@type'] !== 'Recipe' || jsonLd.data.cookTime !== 'PT1H15M' || jsonLd.data.recipeInstructions.length !== 2) {
+        throw new Error(`Unexpected JSON-LD: ${JSON.stringify(jsonLd.data)}`);
+    }
+    if (!html.data.includes('<li>1 &lt;b&gt;pinch&lt;/b&gt; salt</li>') || !html.data.includes('application/ld+json')) {
+        throw new Error('HTML recipe card is missing escaped ingredients or JSON-LD');
+    }
+    if (Buffer.from(pdf.data).slice(0, 5).toString() !== '%PDF-' || !pdf.headers['content-disposition'].startsWith('attachment')) {
+        throw new Error('PDF export did not return a PDF download');
+    }
+    
+    return `Exported ${records.length} recipes as CSV and NDJSON and one as JSON-LD, HTML and PDF`;
+};
+
+const testFileImport = async () => {
+    const csv = [
+        'Name,Cuisine,Rating,Prep Time,Total Time,Ingredients,Instructions,calories_kcal',
+        'File Import Test Chili,Test Kitchen,4.5,PT15M,PT1H5M,"2 cups beans',
+        '1 onion, diced","Simmer.',
+        'Serve.",350',
+        'File Import Test Broken,Test Kitchen,excellent,,,,,'
+    ].join('\r\n');
+    const html = `<html><head><script type="application/ld+json">${JSON.stringify({
+        '@context': 'https://schema.org',
+        '@graph': [{ '@type': 'WebPage', name: 'Ignored' }, {
+            '@type': 'Recipe',
+            name: 'File Import Test Soup',
+            url: 'https://example.com/soup',
+            recipeCuisine: ['Test Kitchen'],
+            cookTime: 'PT45M',
+            recipeYield: ['4', '4 bowls'],
+            recipeIngredient: ['1 l stock'],
+            recipeInstructions: [{ '@type': 'HowToSection', itemListElement: [{ '@type': 'HowToStep', text: 'Heat the stock.' }] }],
+            nutrition: { '@type': 'NutritionInformation', calories: '120 kcal' },
+            aggregateRating: { '@type': 'AggregateRating', ratingValue: '9', bestRating: '10' }
+        }]
+    })}</script></head><body></body></html>`;
+    
+    const form = new FormData();
+    form.append('file', new Blob([csv], { type: 'text/csv' }), 'file-import-test.csv');
+    form.append('file', new Blob([html], { type: 'text/html' }), 'file-import-test.html');
+    const upload = await axios.post(`${API_URL}/admin/import/upload`, form);
+    
+    const broken = new FormData();
+    broken.append('file', new Blob(['title\n"unterminated'], { type: 'text/csv' }), 'broken.csv');
+    const invalid = await axios.post(`${API_URL}/admin/import/upload`, broken, { validateStatus: () => true });
+    const wrongShape = new FormData();
+    wrongShape.append('file', new Blob(['42'], { type: 'application/json' }), 'number.json');
+    const notRecipes = await axios.post(`${API_URL}/admin/import/upload`, wrongShape, { validateStatus: () => true });
+    
+    const search = await axios.get(`${API_URL}/recipes/search`, { params: { title: 'File Import Test' } });
+    const chili = search.data.data.find(recipe => recipe.title === 'File Import Test Chili');
+    const soup = search.data.data.find(recipe => recipe.title === 'File Import Test Soup');
+    const details = chili && (await axios.get(`${API_URL}/recipes/${chili.id}`)).data;
+    const soupDetails = soup && (await axios.get(`${API_URL}/recipes/${soup.id}`)).data;
+    await Promise.all(search.data.data.map(recipe => axios.delete(`${API_URL}/recipes/${recipe.id}`)));
+    
+    const [csvResult, htmlResult] = upload.data.files;
+    if (csvResult.format !== 'csv' || csvResult.report.counts.inserted !== 1 || csvResult.report.counts.rejected !== 1) {
+        throw new Error(`Unexpected CSV import report: ${JSON.stringify(csvResult.report.counts)}`);
+    }
+    if (csvResult.report.rejected[0].sourceKey !== 'line 5' || htmlResult.format !== 'html') {
+        throw new Error(`Unexpected rejection or format: ${JSON.stringify(csvResult.report.rejected)}`);
+    }
+    if (!details || details.total_time !== 65 || details.prep_time !== 15 || details.ingredients.length !== 2 ||
+        details.instructions.length !== 2 || details.nutrition.calories.value !== 350) {
+        throw new Error(`CSV fields were not mapped: ${JSON.stringify(details)}`);
+    }
+    if (!soupDetails || soupDetails.cook_time !== 45 || soupDetails.rating !== 4.5 || soupDetails.serves !== '4' ||
+        soupDetails.instructions[0] !== 'Heat the stock.' || soupDetails.nutrients.calories !== '120 kcal') {
+        throw new Error(`JSON-LD fields were not mapped: ${JSON.stringify(soupDetails)}`);
+    }
+    if (invalid.status !== 400) {
+        throw new Error(`Expected 400 for a malformed CSV, got ${invalid.status}`);
+    }
+    if (notRecipes.status !== 400 || !notRecipes.data.error.startsWith('Could not parse number.json')) {
+        throw new Error(`Expected 400 for JSON that is not recipe data, got ${notRecipes.status}`);
+    }
+    
+    return 'Imported a CSV row and a JSON-LD recipe from uploads and rejected the invalid row';
+};
+
+const testResponseCache = async () => {
+    const title = `Cache Test ${Date.now()}`;
+    const before = (await axios.get(`${API_URL}/admin/cache`)).data;
+    const first = await axios.get(`${API_URL}/recipes/search`, { params: { title, limit: 5 } });
+    // Same parameters in another order, with an empty one, share the entry
+    const second = await axios.get(`${API_URL}/recipes/search?page=&limit=5&title=${encodeURIComponent(title)}`);
+    if (first.headers['x-cache'] !== 'MISS' || second.headers['x-cache'] !== 'HIT') {
+        throw new Error(`Expected a miss then a hit, got ${first.headers['x-cache']} and ${second.headers['x-cache']}`);
+    }
+    if (!first.headers.etag || second.headers.etag !== first.headers.etag || !/max-age=/.test(first.headers['cache-control'])) {
+        throw new Error('Cached response did not carry the same ETag and a Cache-Control header');
+    }
+    
+    const revalidated = await axios.get(`${API_URL}/recipes/search`, {
+        params: { title, limit: 5 },
+        headers: { 'If-None-Match': first.headers.etag },
+        validateStatus: () => true
+    });
+    if (revalidated.status !== 304) {
+        throw new Error(`Expected 304 for a matching If-None-Match, got ${revalidated.status}`);
+    }
+    
+    const created = await axios.post(`${API_URL}/recipes`, { title });
+    const afterWrite = await axios.get(`${API_URL}/recipes/search`, { params: { title, limit: 5 } });
+    await axios.delete(`${API_URL}/recipes/${created.data.id}`);
+    if (afterWrite.headers['x-cache'] !== 'MISS' || afterWrite.data.data.length !== 1 || afterWrite.headers.etag === first.headers.etag) {
+        throw new Error('Creating a recipe did not invalidate the cached search');
+    }
+    
+    const after = (await axios.get(`${API_URL}/admin/cache`)).data;
+    if (after.hits - before.hits < 2 || after.misses - before.misses < 2 || after.invalidations - before.invalidations < 2) {
+        throw new Error(`Cache stats did not count the requests: ${JSON.stringify(after)}`);
+    }
+    
+    return `Hit, 304 and invalidation on write (${after.backend} cache, hit rate ${after.hit_rate})`;
+};
+
+const testObservability = async () => {
+    const supplied = await axios.get(`${API_URL}/recipes/999999999`, { headers: { 'X-Request-Id': 'api-test-42' }, validateStatus: () => true });
+    const generated = await axios.get(`${API_URL}/recipes?limit=1`);
+    if (supplied.headers['x-request-id'] !== 'api-test-42' || !/^[0-9a-f-]{36}$/.test(generated.headers['x-request-id'])) {
+        throw new Error(`Request IDs were not echoed or generated: ${supplied.headers['x-request-id']}, ${generated.headers['x-request-id']}`);
+    }
+    
+    const live = await axios.get(`${BASE_URL}/health/live`);
+    const ready = await axios.get(`${BASE_URL}/health/ready`);
+    if (live.data.status !== 'OK' || ready.data.checks.database.status !== 'ok' || ['pending', 'running'].includes(ready.data.checks.import.status)) {
+        throw new Error(`Unexpected health checks: ${JSON.stringify(ready.data)}`);
+    }
+    
+    const metrics = (await axios.get(`${BASE_URL}/metrics`)).data;
+    const expected = [
+        'http_request_duration_seconds_bucket{le="0.005",method="GET",route="/api/recipes",status_code="200"}',
+        'http_request_errors_total{method="GET",route="/api/recipes/:id",status_code="404"}',
+        'pg_pool_clients{state="idle"}'
+    ];
+    const missing = expected.filter(line => !metrics.includes(line));
+    if (missing.length > 0) {
+        throw new Error(`Metrics are missing ${missing.join(', ')}`);
+    }
+    
+    return `Request IDs echoed, database ${ready.data.checks.database.latency_ms} ms, import ${ready.data.checks.import.status}`;
+};
+
+const testSimilarRecipes = async () => {
+    const cuisine = `Similar Test ${Date.now()}`;
+    const recipe = (title, calories) => ({ title, cuisine, total_time: 40, nutrients: { calories: `${calories} kcal` } });
+    const [source, match, heavy] = await Promise.all([
+        axios.post(`${API_URL}/recipes`, recipe('Quokka Lemon Tart', 300)),
+        axios.post(`${API_URL}/recipes`, recipe('Quokka Lemon Bars', 320)),
+        axios.post(`${API_URL}/recipes`, recipe('Quokka Lemon Cake', 900))
+    ]).then(responses => responses.map(response => response.data));
+    
+    try {
+        const similar = await axios.get(`${API_URL}/recipes/${source.id}/similar`);
+        const found = similar.data.data.find(result => result.id === match.id);
+        if (!found || similar.data.data.some(result => result.id === source.id)) {
+            throw new Error('Expected the matching recipe, and not the recipe itself, among similar recipes');
+        }
+        const { text, cuisine: cuisineSignal, total_time, calories } = found.signals;
+        if (!text || cuisineSignal.match !== 'same' || total_time.score !== 1 || calories.difference !== 20) {
+            throw new Error(`Unexpected signals: ${JSON.stringify(found.signals)}`);
+        }
+        
+        const capped = await axios.get(`${API_URL}/recipes/${source.id}/similar`, { params: { calories: '<=500' } });
+        if (capped.data.data.some(result => result.id === heavy.id) || !capped.data.data.some(result => result.id === match.id)) {
+            throw new Error('calories=<=500 did not leave out the 900 kcal recipe');
+        }
+        const excluded = await axios.get(`${API_URL}/recipes/${source.id}/similar`, { params: { exclude_cuisine: cuisine.toLowerCase() } });
+        if (excluded.data.data.some(result => result.cuisine === cuisine)) {
+            throw new Error('exclude_cuisine did not leave out the cuisine');
+        }
+        
+        return `Top match "${similar.data.data[0].title}" with similarity ${similar.data.data[0].similarity}`;
+    } finally {
+        await Promise.all([source, match, heavy].map(created => axios.delete(`${API_URL}/recipes/${created.id}`)));
+    }
+};
+
+const testDietaryTags = async () => {
+    const title = `Tagged Test ${Date.now()}`;
+    const created = await axios.post(`${API_URL}/recipes`, {
+        title,
+        total_time: 20,
+        nutrients: { calories: '350 kcal', proteinContent: '30 g', sodiumContent: '1,200 mg' }
+    });
+    
+    try {
+        const tags = created.data.tags;
+        if (!tags.includes('high-protein') || !tags.includes('quick') || !tags.includes('low-calorie') || tags.includes('low-sodium')) {
+            throw new Error(`Unexpected tags on create: ${JSON.stringify(tags)}`);
+        }
+        
+        const required = await axios.get(`${API_URL}/recipes/search`, { params: { title, tags: 'high-protein,quick' } });
+        const excluded = await axios.get(`${API_URL}/recipes/search`, { params: { title, tags: 'high-protein,!quick' } });
+        if (required.data.total !== 1 || excluded.data.total !== 0) {
+            throw new Error(`Tag filters returned ${required.data.total} and ${excluded.data.total} recipes, expected 1 and 0`);
+        }
+        
+        const patched = await axios.patch(`${API_URL}/recipes/${created.data.id}`, { total_time: 90 });
+        if (patched.data.tags.includes('quick')) {
+            throw new Error('Editing total_time did not remove the quick tag');
+        }
+        
+        const unknown = await axios.get(`${API_URL}/recipes/search`, { params: { tags: 'not-a-tag' }, validateStatus: () => true });
+        if (unknown.status !== 400 || unknown.data.fields[0].field !== 'tags') {
+            throw new Error(`Expected 400 for an unknown tag, got ${unknown.status}`);
+        }
+        
+        const list = await axios.get(`${API_URL}/tags`);
+        const highProtein = list.data.data.find(entry => entry.tag === 'high-protein');
+        if (!highProtein || highProtein.count < 1 || !highProtein.rule.proteinContent) {
+            throw new Error(`Unexpected tag list: ${JSON.stringify(list.data.data)}`);
+        }
+        
+        return `Tagged ${tags.join(', ')}; include, exclude and edit updates work`;
+    } finally {
+        await axios.delete(`${API_URL}/recipes/${created.data.id}`);
+    }
+};
+
+const testStatistics = async () => {
+    const title = `Stats Test ${Date.now()}`;
+    const created = await axios.post(`${API_URL}/recipes`, {
+        title,
+        cuisine: 'Stats Test Cuisine',
+        total_time: 40,
+        nutrients: { calories: '450 kcal' },
+        ingredients: ['2 cups stats test flour']
+    });
+    
+    try {
+        const params = { title };
+        const [summary, cuisines, distributions, completeness, top] = await Promise.all([
+            axios.get(`${API_URL}/stats`, { params }),
+            axios.get(`${API_URL}/stats/cuisines`, { params }),
+            axios.get(`${API_URL}/stats/distributions`, { params }),
+            axios.get(`${API_URL}/stats/completeness`, { params }),
+            axios.get(`${API_URL}/stats/top`, { params })
+        ]);
+        
+        if (summary.data.total !== 1 || summary.data.average_calories !== 450) {
+            throw new Error(`Unexpected summary: ${JSON.stringify(summary.data)}`);
+        }
+        if (cuisines.data.data.length !== 1 || cuisines.data.data[0].cuisine !== 'Stats Test Cuisine') {
+            throw new Error(`Unexpected cuisine stats: ${JSON.stringify(cuisines.data)}`);
+        }
+        
+        const timeBucket = distributions.data.total_time.buckets.find(bucket => bucket.count > 0);
+        if (!timeBucket || timeBucket.label !== '30-45' || distributions.data.rating.missing !== 1) {
+            throw new Error(`Unexpected distributions: ${JSON.stringify(distributions.data.total_time)}`);
+        }
+        
+        const field = (name) => completeness.data.fields.find(entry => entry.field === name);
+        if (field('rating').percent_present !== 0 || field('calories').percent_present !== 100 || field('ingredients').present !== 1) {
+            throw new Error(`Unexpected completeness: ${JSON.stringify(completeness.data.fields)}`);
+        }
+        
+        if (top.data.quickest[0].title !== title || top.data.common_ingredients[0].name !== 'stats test flour') {
+            throw new Error(`Unexpected top lists: ${JSON.stringify(top.data)}`);
+        }
+        
+        const invalid = await axios.get(`${API_URL}/stats/cuisines`, { params: { rating: 'abc' }, validateStatus: () => true });
+        if (invalid.status !== 400) {
+            throw new Error(`Expected 400 for an invalid filter, got ${invalid.status}`);
+        }
+        
+        return 'Summary, cuisines, distributions, completeness and top lists honor the filters';
+    } finally {
+        await axios.delete(`${API_URL}/recipes/${created.data.id}`);
+    }
+};
+
+const testApiDocs = async () => {
+    const docs = await axios.get(`${API_URL}/docs`);
+    const operation = docs.data.paths && docs.data.paths['/api/recipes/search'] && docs.data.paths['/api/recipes/search'].get;
+    if (!docs.data.openapi || !operation || !operation.parameters.some(parameter => parameter.name === 'rating')) {
+        throw new Error('OpenAPI document does not describe the search parameters');
+    }
+    
+    const page = await axios.get(`${API_URL}/docs`, { headers: { Accept: 'text/html' } });
+    if (!String(page.headers['content-type']).includes('text/html') || !page.data.includes('swagger-ui')) {
+        throw new Error('Browsers asking for HTML did not get the docs page');
+    }
+    
+    const invalid = await axios.get(`${API_URL}/recipes?page=abc&limit=-5`, { validateStatus: () => true });
+    const fields = invalid.status === 400 ? invalid.data.fields.map(error => error.field).sort() : [];
+    if (fields.join(',') !== 'limit,page') {
+        throw new Error(`Expected 400 naming limit and page, got ${invalid.status} ${JSON.stringify(invalid.data)}`);
+    }
+    const negative = await axios.get(`${API_URL}/favorites?limit=-5`, { validateStatus: () => true });
+    if (negative.status !== 400 || !negative.data.fields.some(error => error.field === 'limit')) {
+        throw new Error(`Expected 400 for a negative favorites limit, got ${negative.status}`);
+    }
+    const large = await axios.get(`${API_URL}/recipes?limit=500`, { validateStatus: () => true });
+    if (large.status !== 200 || large.data.limit !== 50) {
+        throw new Error(`Expected a limit above 50 to be lowered to 50, got ${large.status} ${large.data.limit}`);
+    }
+    
+    const body = await axios.post(`${API_URL}/collections`, { name: 42, extra: true }, { validateStatus: () => true });
+    if (body.status !== 400 || !body.data.fields.some(error => error.field === 'name')) {
+        throw new Error(`Expected 400 for a wrongly typed body field, got ${body.status}`);
+    }
+    
+    const malformed = await axios.post(`${API_URL}/collections`, '{"name":', {
+        headers: { 'Content-Type': 'application/json' },
+        validateStatus: () => true
+    });
+    if (malformed.status !== 400 || malformed.data.fields[0].field !== null) {
+        throw new Error(`Expected 400 for malformed JSON, got ${malformed.status}`);
+    }
+    
+    return `${Object.keys(docs.data.paths).length} paths documented; invalid parameters and bodies rejected`;
+};
+
+const testApiKeys = async () => {
+    const limited = (await axios.post(`${API_URL}/admin/api-keys`, { name: 'Rate test', rate_limit: 2 })).data;
+    const quota = (await axios.post(`${API_URL}/admin/api-keys`, { name: 'Quota test', daily_quota: 1 })).data;
+    const withKey = (key) => ({ headers: { 'X-API-Key': key, Authorization: '' }, validateStatus: () => true });
+    
+    try {
+        if (!limited.key || !limited.key.startsWith(limited.prefix)) {
+            throw new Error('New key was not returned with its prefix');
+        }
+        
+        const responses = [];
+        for (let i = 0; i < 3; i++) {
+            responses.push(await axios.get(`${API_URL}/auth/me`, withKey(limited.key)));
+        }
+        if (responses[0].status !== 200 || responses[0].headers['x-ratelimit-remaining'] !== '1') {
+            throw new Error(`Expected the key to act as its user, got ${responses[0].status}`);
+        }
+        if (responses[2].status !== 429 || !(parseInt(responses[2].headers['retry-after']) > 0)) {
+            throw new Error(`Expected 429 with Retry-After over the rate limit, got ${responses[2].status}`);
+        }
+        
+        const first = await axios.get(`${API_URL}/recipes?limit=1`, withKey(quota.key));
+        const second = await axios.get(`${API_URL}/recipes?limit=1`, withKey(quota.key));
+        if (first.status !== 200 || first.headers['x-quota-remaining'] !== '0' || second.status !== 429) {
+            throw new Error(`Expected the daily quota to stop the second request, got ${first.status} then ${second.status}`);
+        }
+        
+        const listed = (await axios.get(`${API_URL}/admin/api-keys`)).data.data.find(key => key.id === quota.id);
+        if (!listed || listed.requests_today !== 1 || 'key' in listed) {
+            throw new Error(`Unexpected key listing: ${JSON.stringify(listed)}`);
+        }
+        
+        const unknown = await axios.get(`${API_URL}/recipes?limit=1`, withKey('rk_unknown'));
+        if (unknown.status !== 401) {
+            throw new Error(`Expected 401 for an unknown key, got ${unknown.status}`);
+        }
+    } finally {
+        await axios.delete(`${API_URL}/admin/api-keys/${limited.id}`);
+        await axios.delete(`${API_URL}/admin/api-keys/${quota.id}`);
+    }
+    
+    const revoked = await axios.get(`${API_URL}/recipes?limit=1`, withKey(quota.key));
+    if (revoked.status !== 401) {
+        throw new Error(`Expected 401 for a revoked key, got ${revoked.status}`);
+    }
+    
+    return 'Rate limit, daily quota, unknown and revoked keys enforced';
+};
+
+// Poll `check` until it returns a truthy value or `timeoutMs` passes
+const waitFor = async (check, timeoutMs = 5000) => {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    return null;
+};
+
+const testChangeFeed = async () => {
+    // Webhook receiver that fails its first request
+    const received = [];
+    const receiver = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body });
+            res.writeHead(received.length === 1 ? 500 : 200).end();
+        });
+    });
+    await new Promise(resolve => receiver.listen(0, resolve));
+    const secret = 'change-feed-test-secret';
+    const webhook = (await axios.post(`${API_URL}/admin/webhooks`, {
+        url: `http://localhost:${receiver.address().port}/hook`,
+        events: ['recipe.created', 'recipe.updated', 'recipe.deleted'],
+        secret
+    })).data;
+    
+    let since = 0;
+    for (let page = { has_more: true }; page.has_more; since = page.next_since) {
+        page = (await axios.get(`${API_URL}/changes`, { params: { since, limit: 1000 } })).data;
+    }
+    
+    // Event stream, parsed into { id, event, data } messages
+    const streamed = [];
+    const stream = http.get(`${API_URL}/changes/stream`, (res) => {
+        let buffer = '';
+        res.on('data', chunk => {
+            buffer += chunk;
+            const messages = buffer.split('\n\n');
+            buffer = messages.pop();
+            for (const message of messages) {
+                const fields = Object.fromEntries(message.split('\n').map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                if (fields.id) streamed.push({ id: Number(fields.id), event: fields.event, data: JSON.parse(fields.data) });
+            }
+        });
+    });
+    stream.on('error', () => {});
+    
+    try {
+        await new Promise(resolve => setTimeout(resolve, 200));
+        const created = await axios.post(`${API_URL}/recipes`, { title: 'Change Feed Test Soup' });
+        const id = created.data.id;
+        await axios.patch(`${API_URL}/recipes/${id}`, { total_time: 25 });
+        await axios.delete(`${API_URL}/recipes/${id}`);
+        
+        const changes = (await axios.get(`${API_URL}/changes`, { params: { since } })).data.data.filter(change => change.recipe_id === id);
+        if (changes.map(change => change.event).join(',') !== 'recipe.created,recipe.updated,recipe.deleted' ||
+            changes[1].data.fields.join(',') !== 'total_time') {
+            throw new Error(`Unexpected changes: ${JSON.stringify(changes)}`);
+        }
+        
+        const live = await waitFor(() => streamed.filter(message => message.data.recipe_id === id).length === 3);
+        if (!live || streamed[0].id <= since) {
+            throw new Error(`Expected the stream to send the 3 new changes, got ${JSON.stringify(streamed)}`);
+        }
+        
+        // The first delivery fails and waits for a retry; the other two get through
+        const deliveries = () => axios.get(`${API_URL}/admin/webhooks/${webhook.id}/deliveries`).then(response => response.data.data);
+        const settled = await waitFor(async () => {
+            const list = await deliveries();
+            return list.length === 3 && list.every(delivery => delivery.attempts > 0) ? list : null;
+        });
+        const failed = settled && settled.find(delivery => delivery.status === 'pending');
+        if (!failed || failed.response_status !== 500 || settled.filter(delivery => delivery.status === 'delivered').length !== 2) {
+            throw new Error(`Unexpected deliveries: ${JSON.stringify(settled)}`);
+        }
+        
+        const [, timestamp, signature] = received[1].headers['x-webhook-signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+        const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${received[1].body}`).digest('hex');
+        if (signature !== expected || !received[1].headers['x-webhook-event'].startsWith('recipe.')) {
+            throw new Error('Webhook signature does not match the body');
+        }
+        
+        await axios.post(`${API_URL}/admin/webhooks/${webhook.id}/deliveries/${failed.id}/retry`);
+        const retried = await waitFor(async () => (await deliveries()).every(delivery => delivery.status === 'delivered'));
+        if (!retried || received.length !== 4) {
+            throw new Error(`Expected the retried delivery to succeed, got ${received.length} requests`);
+        }
+        
+        return 'Changes listed, streamed and delivered to a signed webhook, with a retry';
+    } finally {
+        stream.destroy();
+        await axios.delete(`${API_URL}/admin/webhooks/${webhook.id}`);
+        receiver.close();
+    }
+};
+
+const testSavedSearches = async () => {
+    const base = `${API_URL}/saved-searches`;
+    const search = (await axios.post(base, {
+        name: `Test Stews ${Date.now()}`,
+        query: { title: 'Saved Search Test', sort: 'title:asc' },
+        notify: true
+    })).data;
+    
+    try {
+        if (search.new_matches !== 0) {
+            throw new Error(`Expected no new matches for a new saved search, got ${search.new_matches}`);
+        }
+        const duplicate = await axios.post(base, { name: search.name }, { validateStatus: () => true });
+        const invalid = await axios.post(base, { name: 'Test Invalid Search', query: { rating: 'high', flavour: 'umami' } }, { validateStatus: () => true });
+        const invalidFields = invalid.data.fields ? invalid.data.fields.map(field => field.field).sort().join(',') : '';
+        if (duplicate.status !== 409 || invalid.status !== 400 || invalidFields !== 'query.flavour,query.rating') {
+            throw new Error(`Expected 409 and 400, got ${duplicate.status} and ${invalid.status} (${invalidFields})`);
+        }
+        
+        const created = await axios.post(`${API_URL}/recipes`, { title: 'Saved Search Test Stew' });
+        try {
+            const listed = (await axios.get(base)).data.data.find(entry => entry.id === search.id);
+            if (!listed || listed.new_matches !== 1) {
+                throw new Error(`Expected 1 new match after adding a recipe, got ${listed && listed.new_matches}`);
+            }
+            
+            const { next_cursor: staleCursor } = (await axios.get(`${API_URL}/recipes`, { params: { limit: 1, sort: 'rating:desc' } })).data;
+            const rejected = await axios.post(`${base}/${search.id}/run`, null, { params: { cursor: staleCursor }, validateStatus: () => true });
+            const unseen = (await axios.get(base)).data.data.find(entry => entry.id === search.id);
+            if (rejected.status !== 400 || unseen.new_matches !== 1) {
+                throw new Error(`Expected a rejected run to leave the new match, got ${rejected.status} and ${unseen.new_matches}`);
+            }
+            
+            const run = (await axios.post(`${base}/${search.id}/run`, null, { params: { limit: 5 } })).data;
+            const seen = (await axios.get(base)).data.data.find(entry => entry.id === search.id);
+            if (!run.data.some(recipe => recipe.id === created.data.id) || run.sort !== 'title:asc' || seen.new_matches !== 0 || !seen.last_run_at) {
+                throw new Error(`Running the search did not return the new recipe or mark it seen: ${JSON.stringify(seen)}`);
+            }
+        } finally {
+            await axios.delete(`${API_URL}/recipes/${created.data.id}`);
+        }
+        
+        const other = await signIn(`searcher-${Date.now()}@example.com`, 'searcher-password');
+        const foreign = await axios.post(`${base}/${search.id}/run`, null, { headers: { Authorization: `Bearer ${other.access_token}` }, validateStatus: () => true });
+        if (foreign.status !== 404) {
+            throw new Error(`Expected 404 for another user's saved search, got ${foreign.status}`);
+        }
+        
+        const otherHeaders = { Authorization: `Bearer ${other.access_token}` };
+        for (let i = 0; i < 50; i++) {
+            await axios.post(base, { name: `Test Search ${i}` }, { headers: otherHeaders });
+        }
+        const overLimit = await axios.post(base, { name: 'Test Search 50' }, { headers: otherHeaders, validateStatus: () => true });
+        const otherSearches = (await axios.get(base, { headers: otherHeaders })).data.data;
+        if (overLimit.status !== 409 || otherSearches.length !== 50) {
+            throw new Error(`Expected 409 past 50 saved searches, got ${overLimit.status} with ${otherSearches.length} saved`);
+        }
+        
+        const renamed = (await axios.patch(`${base}/${search.id}`, { name: `${search.name} (renamed)`, notify: false })).data;
+        if (renamed.new_matches !== null || !renamed.name.endsWith('(renamed)')) {
+            throw new Error(`Unexpected saved search after update: ${JSON.stringify(renamed)}`);
+        }
+        
+        return 'Saved, listed with new matches, run and renamed a search';
+    } finally {
+        await axios.delete(`${base}/${search.id}`);
+    }
+};
+
 // Main test runner
 const runAllTests = async () => {
     log('\n🧪 Starting Recipe API Tests...\n', colors.bright);
     
+    // Write tests need an admin session; the email must be listed in the server's ADMIN_EMAILS
+    const adminEmail = process.env.ADMIN_EMAIL || 'admin@example.com';
+    const adminPassword = process.env.ADMIN_PASSWORD || 'admin-password';
+    try {
+        const session = await signIn(adminEmail, adminPassword);
+        axios.defaults.headers.common.Authorization = `Bearer ${session.access_token}`;
+        if (session.user.role !== 'admin') {
+            log(`⚠️  ${adminEmail} is not an admin; add it to ADMIN_EMAILS for the write tests`, colors.yellow);
+        }
+    } catch (error) {
+        log(`⚠️  Could not sign in as ${adminEmail}: ${error.message}`, colors.yellow);
+    }
+    
     const tests = [
         ['Health Endpoint', testHealthEndpoint],
         ['Get Recipes (Basic)', testGetRecipesBasic],
@@ -247,7 +1348,34 @@ const runAllTests = async () => {
         ['Search by Total Time', testSearchByTotalTime],
         ['Complex Search', testComplexSearch],
         ['Pagination', testPagination],
-        ['Data Integrity', testDataIntegrity]
+        ['Data Integrity', testDataIntegrity],
+        ['Recipe CRUD', testRecipeCrud],
+        ['Recipe Validation', testRecipeValidation],
+        ['Idempotent Import', testIdempotentImport],
+        ['Ingredients and Instructions', testIngredientsAndInstructions],
+        ['Numeric Filter Grammar', testNumericFilterGrammar],
+        ['Malformed Filter', testMalformedFilter],
+        ['Full-Text Search', testFullTextSearch],
+        ['Custom Sorting', testCustomSorting],
+        ['Cursor Pagination', testCursorPagination],
+        ['Search Facets', testSearchFacets],
+        ['Authentication', testAuthentication],
+        ['Recipe Reviews', testRecipeReviews],
+        ['Favorites and Collections', testFavoritesAndCollections],
+        ['Serving Scaling', testServingScaling],
+        ['Meal Planner', testMealPlanner],
+        ['Meal Plan Generator', testMealPlanGenerator],
+        ['Exports', testExports],
+        ['File Import', testFileImport],
+        ['Response Cache', testResponseCache],
+        ['Observability', testObservability],
+        ['Similar Recipes', testSimilarRecipes],
+        ['Dietary Tags', testDietaryTags],
+        ['Statistics', testStatistics],
+        ['API Docs and Validation', testApiDocs],
+        ['API Keys', testApiKeys],
+        ['Change Feed', testChangeFeed],
+        ['Saved Searches', testSavedSearches]
     ];
     
     let passed = 0;
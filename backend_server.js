@@ -3,13 +3,128 @@ const cors = require('cors');
 const { Pool } = require('pg');
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { once } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const PDFDocument = require('pdfkit');
+const multer = require('multer');
+const promClient = require('prom-client');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
+// Logging
+
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const LOG_LEVEL = LOG_LEVELS.includes(process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+// Holds the ID of the request being handled, so every line logged while handling it carries the ID
+const requestContext = new AsyncLocalStorage();
+
+// JSON.stringify turns errors into {}; log their message, code and stack instead
+const logReplacer = (key, value) => (
+  value instanceof Error ? { message: value.message, code: value.code, stack: value.stack } : value
+);
+
+// Write one JSON object per line: warnings and errors to stderr, the rest to stdout
+const writeLog = (level, msg, fields) => {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(LOG_LEVEL)) return;
+  const context = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, msg, request_id: context && context.requestId, ...fields };
+  const stream = level === 'warn' || level === 'error' ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry, logReplacer)}\n`);
+};
+
+const logger = Object.fromEntries(LOG_LEVELS.map(level => [level, (msg, fields) => writeLog(level, msg, fields)]));
+
+// Metrics
+
+const metricsRegistry = new promClient.Registry();
+promClient.collectDefaultMetrics({ register: metricsRegistry });
+
+// Requests are labelled with the route pattern rather than the path, so ids do not create new series
+const httpRequestDuration = new promClient.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'Time to respond to HTTP requests, by route',
+  labelNames: ['method', 'route', 'status_code'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [metricsRegistry]
+});
+
+const httpRequestErrors = new promClient.Counter({
+  name: 'http_request_errors_total',
+  help: 'HTTP responses with a 4xx or 5xx status, by route',
+  labelNames: ['method', 'route', 'status_code'],
+  registers: [metricsRegistry]
+});
+
+// Read from the pool whenever metrics are scraped
+new promClient.Gauge({
+  name: 'pg_pool_clients',
+  help: 'PostgreSQL pool clients: open (total), idle, and queries waiting for one',
+  labelNames: ['state'],
+  registers: [metricsRegistry],
+  collect() {
+    this.set({ state: 'total' }, pool.totalCount);
+    this.set({ state: 'idle' }, pool.idleCount);
+    this.set({ state: 'waiting' }, pool.waitingCount);
+  }
+});
+
 // Middleware
-app.use(cors());
+
+// Accept the caller's X-Request-Id when it looks like an ID; otherwise generate one
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Tag each request with an ID, echoed in the X-Request-Id response header, and log and time
+// it once the response is done. Health checks and metric scrapes are only logged at debug level.
+app.use((req, res, next) => {
+  const supplied = req.get('X-Request-Id');
+  const requestId = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  res.set('X-Request-Id', requestId);
+  
+  res.on('close', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const labels = { method: req.method, route, status_code: res.statusCode };
+    httpRequestDuration.observe(labels, seconds);
+    if (res.statusCode >= 400) {
+      httpRequestErrors.inc(labels);
+    }
+    
+    const quiet = req.path === '/metrics' || req.path.startsWith('/health');
+    logger[quiet ? 'debug' : 'info']('request', {
+      request_id: requestId,
+      method: req.method,
+      path: req.originalUrl,
+      route,
+      status: res.statusCode,
+      duration_ms: Math.round(seconds * 10000) / 10,
+      user_id: req.user ? req.user.id : undefined,
+      api_key_id: req.apiKey ? req.apiKey.id : undefined,
+      aborted: res.writableFinished ? undefined : true
+    });
+  });
+  
+  requestContext.run({ requestId }, next);
+});
+
+// CORS_ORIGINS is a comma-separated list of allowed origins; every origin is allowed when unset
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const corsOptions = {
+  exposedHeaders: ['X-Request-Id', 'X-Cache', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset',
+    'X-Quota-Limit', 'X-Quota-Remaining']
+};
+app.use(cors(corsOrigins.length > 0 ? { ...corsOptions, origin: corsOrigins } : corsOptions));
 app.use(express.json());
+// A body that is not valid JSON gets the same 400 as any other invalid request
+app.use((err, req, res, next) => {
+  if (err.type !== 'entity.parse.failed') return next(err);
+  sendValidationError(res, [{ field: null, message: `Request body is not valid JSON: ${err.message}` }]);
+});
 
 // Database connection
 const pool = new Pool({
@@ -20,305 +135,6072 @@ const pool = new Pool({
   port: process.env.DB_PORT || 5432,
 });
 
-// Initialize database schema
-const initializeDatabase = async () => {
+// Weighted document searched by the `q` parameter. The idx_recipes_search index in the baseline
+// migration is built on this exact expression, so queries must use it verbatim to hit the index.
+const SEARCH_VECTOR_SQL = "setweight(to_tsvector('english', COALESCE(title, '')), 'A') || " +
+  "setweight(to_tsvector('english', COALESCE(cuisine, '')), 'B') || " +
+  "setweight(to_tsvector('english', COALESCE(description, '')), 'C')";
+
+// Migrations
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+// NNN_name.up.sql applies a migration and NNN_name.down.sql reverts it
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Numbered migrations in version order, each with its up and down SQL and a checksum of the up SQL
+const loadMigrations = () => {
+  const byVersion = new Map();
+  for (const file of fs.readdirSync(MIGRATIONS_DIR)) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+    const version = parseInt(match[1]);
+    const migration = byVersion.get(version) || { version, name: match[2] };
+    if (migration.name !== match[2]) {
+      throw new Error(`Migration ${version} has files with different names: ${migration.name}, ${match[2]}`);
+    }
+    migration[match[3]] = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+  
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  for (const migration of migrations) {
+    if (migration.up === undefined || migration.down === undefined) {
+      throw new Error(`Migration ${migration.version}_${migration.name} needs both an .up.sql and a .down.sql file`);
+    }
+    migration.checksum = crypto.createHash('sha256').update(migration.up).digest('hex');
+  }
+  return migrations;
+};
+
+const migrationLabel = ({ version, name }) => `${String(version).padStart(3, '0')}_${name}`;
+
+// Compare the migration files with the tracking table: which are applied, which are pending,
+// which were edited after being applied and which applied versions have no file (a newer build ran)
+const readMigrationStatus = async (client, migrations) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const applied = new Map(result.rows.map(row => [row.version, row]));
+  const known = new Set(migrations.map(migration => migration.version));
+  return {
+    applied: migrations.filter(migration => applied.has(migration.version))
+      .map(migration => ({ ...migration, applied_at: applied.get(migration.version).applied_at })),
+    pending: migrations.filter(migration => !applied.has(migration.version)),
+    changed: migrations.filter(migration => applied.has(migration.version) && applied.get(migration.version).checksum !== migration.checksum),
+    unknown: result.rows.filter(row => !known.has(row.version))
+  };
+};
+
+// Run `work` on a dedicated client holding a session lock, so two processes never migrate at once
+const withMigrationLock = async (work) => {
   const client = await pool.connect();
   try {
-    // Create recipes table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS recipes (
-        id SERIAL PRIMARY KEY,
-        cuisine VARCHAR(100),
-        title VARCHAR(255),
-        rating FLOAT,
-        prep_time INTEGER,
-        cook_time INTEGER,
-        total_time INTEGER,
-        description TEXT,
-        nutrients JSONB,
-        serves VARCHAR(50),
-        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-      )
-    `);
-    
-    // Create index for better search performance
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_recipes_rating ON recipes(rating);
-      CREATE INDEX IF NOT EXISTS idx_recipes_cuisine ON recipes(cuisine);
-      CREATE INDEX IF NOT EXISTS idx_recipes_title ON recipes USING gin(to_tsvector('english', title));
-    `);
-    
-    console.log('Database initialized successfully');
-  } catch (err) {
-    console.error('Error initializing database:', err);
+    await client.query("SELECT pg_advisory_lock(hashtext('schema_migrations'))");
+    return await work(client);
   } finally {
+    await client.query("SELECT pg_advisory_unlock(hashtext('schema_migrations'))").catch(() => {});
     client.release();
   }
 };
 
-// Parse and insert JSON data
-const parseAndInsertRecipes = async (jsonFilePath) => {
+// Apply one migration in each direction inside its own transaction, recording it in schema_migrations
+const runMigration = async (client, migration, direction) => {
+  await client.query('BEGIN');
   try {
-    const rawData = fs.readFileSync(jsonFilePath, 'utf8');
-    const recipesData = JSON.parse(rawData);
-    
-    const client = await pool.connect();
-    
-    // Check if data already exists
-    const countResult = await client.query('SELECT COUNT(*) FROM recipes');
-    if (parseInt(countResult.rows[0].count) > 0) {
-      console.log('Recipes already exist in database');
-      client.release();
-      return;
-    }
-    
-    console.log('Inserting recipes into database...');
-    let insertedCount = 0;
-    
-    for (const [key, recipe] of Object.entries(recipesData)) {
-      try {
-        // Handle NaN values by converting them to null
-        const rating = isNaN(recipe.rating) || recipe.rating === 'NaN' ? null : parseFloat(recipe.rating);
-        const prepTime = isNaN(recipe.prep_time) || recipe.prep_time === 'NaN' ? null : parseInt(recipe.prep_time);
-        const cookTime = isNaN(recipe.cook_time) || recipe.cook_time === 'NaN' ? null : parseInt(recipe.cook_time);
-        const totalTime = isNaN(recipe.total_time) || recipe.total_time === 'NaN' ? null : parseInt(recipe.total_time);
-        
-        // Clean nutrients data - remove any NaN values
-        let nutrients = recipe.nutrients || {};
-        if (typeof nutrients === 'object') {
-          for (const [key, value] of Object.entries(nutrients)) {
-            if (value === 'NaN' || isNaN(value)) {
-              delete nutrients[key];
-            }
-          }
-        }
-        
-        await client.query(`
-          INSERT INTO recipes (cuisine, title, rating, prep_time, cook_time, total_time, description, nutrients, serves)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-        `, [
-          recipe.cuisine || null,
-          recipe.title || null,
-          rating,
-          prepTime,
-          cookTime,
-          totalTime,
-          recipe.description || null,
-          JSON.stringify(nutrients),
-          recipe.serves || null
-        ]);
-        
-        insertedCount++;
-        if (insertedCount % 100 === 0) {
-          console.log(`Inserted ${insertedCount} recipes...`);
-        }
-      } catch (err) {
-        console.error(`Error inserting recipe: ${recipe.title}`, err.message);
-      }
+    await client.query(migration[direction]);
+    if (direction === 'up') {
+      await client.query('INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, migration.checksum]);
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
     }
-    
-    client.release();
-    console.log(`Successfully inserted ${insertedCount} recipes`);
+    await client.query('COMMIT');
   } catch (err) {
-    console.error('Error parsing and inserting recipes:', err);
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migrationLabel(migration)} ${direction} failed: ${err.message}`);
   }
+  logger.info(`Migrated ${direction}`, { migration: migrationLabel(migration) });
 };
 
-// API Endpoints
+// Apply pending migrations in order, up to and including version `to` when given
+const migrateUp = ({ to = Infinity } = {}) => withMigrationLock(async (client) => {
+  const { pending } = await readMigrationStatus(client, loadMigrations());
+  const selected = pending.filter(migration => migration.version <= to);
+  for (const migration of selected) {
+    await runMigration(client, migration, 'up');
+  }
+  return selected.length;
+});
 
-// Get all recipes with pagination and sorting
-app.get('/api/recipes', async (req, res) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
-    const offset = (page - 1) * limit;
-    
-    const client = await pool.connect();
-    
-    // Get total count
-    const countResult = await client.query('SELECT COUNT(*) FROM recipes');
-    const total = parseInt(countResult.rows[0].count);
-    
-    // Get paginated recipes sorted by rating (descending)
-    const recipesResult = await client.query(`
-      SELECT * FROM recipes 
-      ORDER BY rating DESC NULLS LAST, id ASC
-      LIMIT $1 OFFSET $2
-    `, [limit, offset]);
-    
-    client.release();
-    
-    res.json({
-      page,
-      limit,
-      total,
-      data: recipesResult.rows
-    });
-  } catch (err) {
-    console.error('Error fetching recipes:', err);
-    res.status(500).json({ error: 'Internal server error' });
+// Revert the latest `steps` applied migrations, or every one above version `to` when given
+const migrateDown = ({ steps = 1, to } = {}) => withMigrationLock(async (client) => {
+  const { applied, unknown } = await readMigrationStatus(client, loadMigrations());
+  if (unknown.length > 0) {
+    throw new Error(`Cannot migrate down past versions without files: ${unknown.map(row => row.version).join(', ')}`);
+  }
+  const newestFirst = [...applied].reverse();
+  const selected = to === undefined
+    ? newestFirst.slice(0, steps)
+    : newestFirst.filter(migration => migration.version > to);
+  for (const migration of selected) {
+    await runMigration(client, migration, 'down');
   }
+  return selected.length;
 });
 
-// Search recipes
-app.get('/api/recipes/search', async (req, res) => {
+// Check the schema before serving. Pending migrations are applied when MIGRATE_ON_STARTUP=true;
+// otherwise a schema that is behind stops the server with the command to run.
+const ensureSchemaCurrent = async () => {
+  if (process.env.MIGRATE_ON_STARTUP === 'true') {
+    await migrateUp();
+  }
+  
+  const client = await pool.connect();
   try {
-    const { calories, title, cuisine, total_time, rating, page = 1, limit = 10 } = req.query;
-    
-    let whereConditions = [];
-    let queryParams = [];
-    let paramCount = 0;
-    
-    // Build dynamic query based on filters
-    if (title) {
-      paramCount++;
-      whereConditions.push(`title ILIKE $${paramCount}`);
-      queryParams.push(`%${title}%`);
+    const status = await readMigrationStatus(client, loadMigrations());
+    if (status.pending.length > 0) {
+      throw new Error(`Database schema is behind: ${status.pending.length} pending migration(s) ` +
+        `(${status.pending.map(migrationLabel).join(', ')}). Run "npm run migrate up" or set MIGRATE_ON_STARTUP=true.`);
     }
-    
-    if (cuisine) {
-      paramCount++;
-      whereConditions.push(`cuisine ILIKE $${paramCount}`);
-      queryParams.push(`%${cuisine}%`);
+    for (const migration of status.changed) {
+      logger.warn('Migration was edited after it was applied', { migration: migrationLabel(migration) });
     }
-    
-    if (rating) {
-      paramCount++;
-      if (rating.startsWith('>=')) {
-        whereConditions.push(`rating >= $${paramCount}`);
-        queryParams.push(parseFloat(rating.substring(2)));
-      } else if (rating.startsWith('<=')) {
-        whereConditions.push(`rating <= $${paramCount}`);
-        queryParams.push(parseFloat(rating.substring(2)));
-      } else if (rating.startsWith('>')) {
-        whereConditions.push(`rating > $${paramCount}`);
-        queryParams.push(parseFloat(rating.substring(1)));
-      } else if (rating.startsWith('<')) {
-        whereConditions.push(`rating < $${paramCount}`);
-        queryParams.push(parseFloat(rating.substring(1)));
-      } else if (rating.startsWith('=')) {
-        whereConditions.push(`rating = $${paramCount}`);
-        queryParams.push(parseFloat(rating.substring(1)));
-      } else {
-        whereConditions.push(`rating = $${paramCount}`);
-        queryParams.push(parseFloat(rating));
-      }
+    if (status.unknown.length > 0) {
+      logger.warn('Database has migrations this build does not know', { migrations: status.unknown.map(migrationLabel) });
     }
-    
-    if (total_time) {
-      paramCount++;
-      if (total_time.startsWith('>=')) {
-        whereConditions.push(`total_time >= $${paramCount}`);
-        queryParams.push(parseInt(total_time.substring(2)));
-      } else if (total_time.startsWith('<=')) {
-        whereConditions.push(`total_time <= $${paramCount}`);
-        queryParams.push(parseInt(total_time.substring(2)));
-      } else if (total_time.startsWith('>')) {
-        whereConditions.push(`total_time > $${paramCount}`);
-        queryParams.push(parseInt(total_time.substring(1)));
-      } else if (total_time.startsWith('<')) {
-        whereConditions.push(`total_time < $${paramCount}`);
-        queryParams.push(parseInt(total_time.substring(1)));
-      } else if (total_time.startsWith('=')) {
-        whereConditions.push(`total_time = $${paramCount}`);
-        queryParams.push(parseInt(total_time.substring(1)));
-      } else {
-        whereConditions.push(`total_time = $${paramCount}`);
-        queryParams.push(parseInt(total_time));
-      }
+    await backfillDerivedColumns(client);
+    // Tag rules may have changed since the last start
+    const retagged = await refreshRecipeTags(client);
+    if (retagged > 0) {
+      logger.info('Updated recipe tags', { count: retagged });
     }
-    
-    if (calories) {
-      paramCount++;
-      const caloriesValue = calories.match(/\d+/)?.[0];
-      if (caloriesValue) {
-        if (calories.startsWith('>=')) {
-          whereConditions.push(`CAST(nutrients->>'calories' AS INTEGER) >= $${paramCount}`);
-        } else if (calories.startsWith('<=')) {
-          whereConditions.push(`CAST(nutrients->>'calories' AS INTEGER) <= $${paramCount}`);
-        } else if (calories.startsWith('>')) {
-          whereConditions.push(`CAST(nutrients->>'calories' AS INTEGER) > $${paramCount}`);
-        } else if (calories.startsWith('<')) {
-          whereConditions.push(`CAST(nutrients->>'calories' AS INTEGER) < $${paramCount}`);
-        } else if (calories.startsWith('=')) {
-          whereConditions.push(`CAST(nutrients->>'calories' AS INTEGER) = $${paramCount}`);
-        } else {
-          whereConditions.push(`CAST(nutrients->>'calories' AS INTEGER) = $${paramCount}`);
+  } finally {
+    client.release();
+  }
+  logger.info('Database schema is up to date');
+};
+
+// Recipe field definitions shared by the importer and the write endpoints
+const RECIPE_FIELDS = {
+  cuisine: { type: 'string', maxLength: 100 },
+  title: { type: 'string', maxLength: 255, required: true },
+  rating: { type: 'float', min: 0, max: 5, column: 'source_rating' },
+  prep_time: { type: 'integer', min: 0 },
+  cook_time: { type: 'integer', min: 0 },
+  total_time: { type: 'integer', min: 0 },
+  description: { type: 'string' },
+  nutrients: { type: 'object' },
+  serves: { type: 'string', maxLength: 50 },
+  ingredients: { type: 'ingredients', related: true },
+  instructions: { type: 'steps', related: true }
+};
+
+// Columns computed from another field whenever that field is written
+const DERIVED_COLUMNS = {
+  servings: { from: 'serves', derive: (serves) => parseServings(serves) },
+  nutrition: { from: 'nutrients', derive: (nutrients) => parseNutrition(nutrients), json: true }
+};
+
+// Fields stored directly on the recipes table; related fields live in their own tables
+const RECIPE_COLUMNS = [
+  ...Object.keys(RECIPE_FIELDS).filter(field => !RECIPE_FIELDS[field].related),
+  ...Object.keys(DERIVED_COLUMNS)
+];
+
+// Table column holding a field; a written rating is stored as source_rating (see refreshRecipeRatings)
+const recipeColumn = (field) => (RECIPE_FIELDS[field] && RECIPE_FIELDS[field].column) || field;
+
+const recipeColumnValue = (recipe, column) =>
+  column === 'nutrients' || (DERIVED_COLUMNS[column] && DERIVED_COLUMNS[column].json)
+    ? JSON.stringify(recipe[column])
+    : recipe[column];
+
+const recipeParams = (recipe) => RECIPE_COLUMNS.map(column => recipeColumnValue(recipe, column));
+
+// Parse servings and nutrition for rows stored before those columns existed
+const backfillDerivedColumns = async (client) => {
+  const result = await client.query('SELECT id, serves, nutrients FROM recipes WHERE nutrition IS NULL ORDER BY id');
+  for (let i = 0; i < result.rows.length; i += 1000) {
+    const rows = result.rows.slice(i, i + 1000);
+    await client.query(`
+      UPDATE recipes r SET servings = d.servings, nutrition = d.nutrition
+      FROM UNNEST($1::int[], $2::float[], $3::jsonb[]) AS d(id, servings, nutrition)
+      WHERE r.id = d.id
+    `, [
+      rows.map(row => row.id),
+      rows.map(row => parseServings(row.serves)),
+      rows.map(row => JSON.stringify(parseNutrition(row.nutrients)))
+    ]);
+  }
+  if (result.rows.length > 0) {
+    logger.info('Parsed servings and nutrition for existing recipes', { count: result.rows.length });
+  }
+};
+
+// Servings count from free text such as "4 servings", "Serves 6 to 8" or "2 dozen cookies".
+// Ranges use the lower bound; text without a number gives null.
+const parseServings = (serves) => {
+  if (serves === null || serves === undefined) return null;
+  const match = String(serves).match(/(\d+(?:\.\d+)?)(?:\s*\/\s*(\d+))?(\s*dozen)?/i);
+  if (!match) return null;
+  let servings = parseFloat(match[1]);
+  if (match[2]) servings /= parseInt(match[2]);
+  if (match[3]) servings *= 12;
+  return isFinite(servings) && servings > 0 ? servings : null;
+};
+
+// Split nutrient strings such as "389 kcal" or "1,200 mg" into { value, unit }. Bare numbers
+// take the unit the key is stored in; entries without a leading number are left out.
+const parseNutrition = (nutrients) => {
+  const nutrition = {};
+  for (const [key, entry] of Object.entries(nutrients || {})) {
+    const match = String(entry).replace(/,/g, '').match(/^\s*(\d+(?:\.\d+)?|\.\d+)\s*([a-zA-Zµ]*)/);
+    if (!match) continue;
+    nutrition[key] = { value: parseFloat(match[1]), unit: match[2] || NUTRIENT_UNITS[key] || null };
+  }
+  return nutrition;
+};
+
+const UNICODE_FRACTIONS = {
+  '½': 1 / 2, '⅓': 1 / 3, '⅔': 2 / 3, '¼': 1 / 4, '¾': 3 / 4,
+  '⅛': 1 / 8, '⅜': 3 / 8, '⅝': 5 / 8, '⅞': 7 / 8
+};
+
+// Canonical unit names and the spellings found in recipe sources
+const INGREDIENT_UNITS = {
+  cup: ['cup', 'cups', 'c'],
+  tablespoon: ['tablespoon', 'tablespoons', 'tbsp', 'tbs', 'tbl'],
+  teaspoon: ['teaspoon', 'teaspoons', 'tsp'],
+  pound: ['pound', 'pounds', 'lb', 'lbs'],
+  ounce: ['ounce', 'ounces', 'oz'],
+  'fluid ounce': ['fl oz', 'fluid ounce', 'fluid ounces'],
+  gram: ['gram', 'grams', 'g'],
+  kilogram: ['kilogram', 'kilograms', 'kg'],
+  milliliter: ['milliliter', 'milliliters', 'ml'],
+  liter: ['liter', 'liters', 'l'],
+  pint: ['pint', 'pints', 'pt'],
+  quart: ['quart', 'quarts', 'qt'],
+  gallon: ['gallon', 'gallons', 'gal'],
+  pinch: ['pinch', 'pinches'],
+  dash: ['dash', 'dashes'],
+  clove: ['clove', 'cloves'],
+  can: ['can', 'cans'],
+  package: ['package', 'packages', 'pkg'],
+  slice: ['slice', 'slices'],
+  stick: ['stick', 'sticks']
+};
+
+const UNIT_ALIASES = new Map();
+for (const [unit, aliases] of Object.entries(INGREDIENT_UNITS)) {
+  aliases.forEach(alias => UNIT_ALIASES.set(alias, unit));
+}
+
+// Leading quantity: "1 1/2", "3/4", "0.5", "2", optionally followed by a unicode
+// fraction ("1½") and a range end ("2-3", "2 to 3") that is ignored
+const QUANTITY_PATTERN = /^(?:(\d+)\s+(\d+)\/(\d+)|(\d+)\/(\d+)|(\d*\.?\d+))?\s*([½⅓⅔¼¾⅛⅜⅝⅞])?(?:\s*(?:-|–|to)\s*\d*\.?\d+(?:\/\d+)?)?\s*/;
+
+// Split an ingredient line such as "1 1/2 cups flour, sifted" into quantity, unit and name
+const parseIngredient = (text) => {
+  const line = text.trim();
+  const match = line.match(QUANTITY_PATTERN);
+  let quantity = null;
+  
+  if (match[1]) {
+    quantity = parseInt(match[1]) + parseInt(match[2]) / parseInt(match[3]);
+  } else if (match[4]) {
+    quantity = parseInt(match[4]) / parseInt(match[5]);
+  } else if (match[6]) {
+    quantity = parseFloat(match[6]);
+  }
+  if (match[7]) {
+    quantity = (quantity || 0) + UNICODE_FRACTIONS[match[7]];
+  }
+  if (quantity !== null && !isFinite(quantity)) {
+    quantity = null;
+  }
+  
+  let rest = quantity === null ? line : line.slice(match[0].length);
+  let unit = null;
+  if (quantity !== null) {
+    const unitMatch = rest.match(/^(fl\.? oz|fluid ounces?|[a-zA-Z]+)\.?(?=\s|$)/);
+    const alias = unitMatch && unitMatch[1].toLowerCase().replace('fl. oz', 'fl oz');
+    if (alias && UNIT_ALIASES.has(alias)) {
+      unit = UNIT_ALIASES.get(alias);
+      rest = rest.slice(unitMatch[0].length).trim();
+    }
+  }
+  
+  return {
+    quantity: quantity === null ? null : Math.round(quantity * 1000) / 1000,
+    unit,
+    name: rest || line,
+    text: line
+  };
+};
+
+// Clean one ingredient given as a source line or as { quantity, unit, name }
+const cleanIngredient = (entry) => {
+  if (typeof entry === 'string') {
+    return entry.trim() === '' ? null : parseIngredient(entry);
+  }
+  if (!entry || typeof entry !== 'object' || typeof entry.name !== 'string' || entry.name.trim() === '') {
+    return { error: 'must be a string or an object with a name' };
+  }
+  
+  const quantity = entry.quantity === undefined || entry.quantity === null || isNaNMarker(entry.quantity)
+    ? null
+    : entry.quantity;
+  if (quantity !== null && (isNaN(quantity) || String(quantity).trim() === '' || parseFloat(quantity) < 0)) {
+    return { error: 'quantity must be a non-negative number' };
+  }
+  if (entry.unit !== undefined && entry.unit !== null && typeof entry.unit !== 'string') {
+    return { error: 'unit must be a string' };
+  }
+  
+  const name = entry.name.trim();
+  const unit = entry.unit ? entry.unit.trim() : null;
+  const text = typeof entry.text === 'string' && entry.text.trim() !== ''
+    ? entry.text.trim()
+    : [quantity, unit, name].filter(part => part !== null && part !== '').join(' ');
+  return { quantity: quantity === null ? null : parseFloat(quantity), unit: unit || null, name, text };
+};
+
+// NaN markers in the source data mean "missing", not "invalid"
+const isNaNMarker = (value) => value === 'NaN' || (typeof value === 'number' && isNaN(value));
+
+// Clean and validate a single field, returning { value } or { error }
+const cleanRecipeField = (field, value) => {
+  const rules = RECIPE_FIELDS[field];
+  
+  if (value === undefined || value === null || isNaNMarker(value)) {
+    if (rules.type === 'object') return { value: {} };
+    if (rules.related) return { value: [] };
+    return rules.required ? { value: null, error: 'is required' } : { value: null };
+  }
+  
+  if (rules.type === 'ingredients' || rules.type === 'steps') {
+    if (!Array.isArray(value)) {
+      return { value: [], error: 'must be an array' };
+    }
+    const cleaned = [];
+    for (const [index, entry] of value.entries()) {
+      if (entry === null || isNaNMarker(entry)) continue;
+      if (rules.type === 'steps') {
+        if (typeof entry !== 'string') {
+          return { value: [], error: `[${index}] must be a string` };
         }
-        queryParams.push(parseInt(caloriesValue));
+        if (entry.trim() !== '') cleaned.push(entry.trim());
+        continue;
+      }
+      const ingredient = cleanIngredient(entry);
+      if (ingredient && ingredient.error) {
+        return { value: [], error: `[${index}] ${ingredient.error}` };
       }
+      if (ingredient) cleaned.push(ingredient);
     }
-    
-    const client = await pool.connect();
-    
-    let query = 'SELECT * FROM recipes';
-    if (whereConditions.length > 0) {
-      query += ` WHERE ${whereConditions.join(' AND ')}`;
+    return { value: cleaned };
+  }
+  
+  if (rules.type === 'float' || rules.type === 'integer') {
+    if ((typeof value !== 'number' && typeof value !== 'string') || String(value).trim() === '' || isNaN(value)) {
+      return { value: null, error: 'must be a number' };
     }
-    query += ' ORDER BY rating DESC NULLS LAST, id ASC';
-    
-    // Add pagination
-    const pageNum = parseInt(page);
-    const limitNum = Math.min(parseInt(limit), 50);
-    const offset = (pageNum - 1) * limitNum;
-    
-    paramCount++;
-    query += ` LIMIT $${paramCount}`;
-    queryParams.push(limitNum);
+    const parsed = rules.type === 'float' ? parseFloat(value) : parseInt(value);
+    if (rules.min !== undefined && parsed < rules.min) {
+      return { value: null, error: `must be >= ${rules.min}` };
+    }
+    if (rules.max !== undefined && parsed > rules.max) {
+      return { value: null, error: `must be <= ${rules.max}` };
+    }
+    return { value: parsed };
+  }
+  
+  if (rules.type === 'object') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      return { value: {}, error: 'must be an object' };
+    }
+    // Clean nutrients data - remove any NaN values
+    const cleaned = {};
+    for (const [key, entry] of Object.entries(value)) {
+      if (entry === null || isNaNMarker(entry)) continue;
+      if (typeof entry !== 'string' && typeof entry !== 'number') {
+        return { value: {}, error: `entry "${key}" must be a string or number` };
+      }
+      cleaned[key] = entry;
+    }
+    return { value: cleaned };
+  }
+  
+  if (typeof value !== 'string') {
+    return { value: null, error: 'must be a string' };
+  }
+  const trimmed = value.trim();
+  if (rules.required && trimmed === '') {
+    return { value: null, error: 'is required' };
+  }
+  if (rules.maxLength && trimmed.length > rules.maxLength) {
+    return { value: null, error: `must be at most ${rules.maxLength} characters` };
+  }
+  return { value: trimmed === '' ? null : trimmed };
+};
+
+// Fields returned by the API that may be sent back unchanged; they are ignored on write
+const READ_ONLY_RECIPE_FIELDS = ['id', 'created_at', 'source_rating', 'review_count', 'tags', ...Object.keys(DERIVED_COLUMNS)];
+
+// Clean a recipe payload. With `partial`, only the fields present are returned.
+// With `allowUnknown`, extra source fields are ignored instead of rejected.
+// Invalid fields are reported in `errors` and fall back to null in `recipe`.
+const validateRecipe = (input, { partial = false, allowUnknown = false } = {}) => {
+  const recipe = {};
+  const errors = [];
+  
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { recipe, errors: [{ field: null, message: 'Recipe must be a JSON object' }] };
+  }
+  
+  for (const field of allowUnknown ? [] : Object.keys(input)) {
+    if (!RECIPE_FIELDS[field] && !READ_ONLY_RECIPE_FIELDS.includes(field)) {
+      errors.push({ field, message: `${field} is not a recognized field` });
+    }
+  }
+  
+  for (const field of Object.keys(RECIPE_FIELDS)) {
+    if (partial && !(field in input)) continue;
+    const { value, error } = cleanRecipeField(field, input[field]);
+    recipe[field] = value;
+    if (error) {
+      errors.push({ field, message: `${field}${error.startsWith('[') ? '' : ' '}${error}` });
+    }
+  }
+  
+  for (const [column, { from, derive }] of Object.entries(DERIVED_COLUMNS)) {
+    if (from in recipe) recipe[column] = derive(recipe[from]);
+  }
+  
+  return { recipe, errors };
+};
+
+const sendValidationError = (res, errors) => {
+  res.status(400).json({
+    error: 'Validation failed',
+    fields: errors
+  });
+};
+
+// Run `work` inside a transaction on a dedicated client
+const withTransaction = async (work) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+};
+
+// Replace the ingredients and instructions of each { id, recipe } entry.
+// Entries whose recipe does not carry a list (a PATCH without it) keep their rows.
+const replaceRecipeDetails = async (client, entries) => {
+  for (const field of ['ingredients', 'instructions']) {
+    const targets = entries.filter(entry => Array.isArray(entry.recipe[field]));
+    if (targets.length === 0) continue;
     
-    paramCount++;
-    query += ` OFFSET $${paramCount}`;
-    queryParams.push(offset);
+    const table = field === 'ingredients' ? 'recipe_ingredients' : 'recipe_instructions';
+    await client.query(`DELETE FROM ${table} WHERE recipe_id = ANY($1)`, [targets.map(entry => entry.id)]);
     
-    const result = await client.query(query, queryParams);
+    const rows = targets.flatMap(({ id, recipe }) => recipe[field].map((item, index) => ({ id, index, item })));
+    if (rows.length === 0) continue;
     
-    // Get total count for pagination
-    let countQuery = 'SELECT COUNT(*) FROM recipes';
-    if (whereConditions.length > 0) {
-      countQuery += ` WHERE ${whereConditions.join(' AND ')}`;
+    if (field === 'ingredients') {
+      await client.query(`
+        INSERT INTO recipe_ingredients (recipe_id, position, quantity, unit, name, text)
+        SELECT * FROM UNNEST($1::int[], $2::int[], $3::float8[], $4::text[], $5::text[], $6::text[])
+      `, [
+        rows.map(row => row.id),
+        rows.map(row => row.index + 1),
+        rows.map(row => row.item.quantity),
+        rows.map(row => row.item.unit),
+        rows.map(row => row.item.name),
+        rows.map(row => row.item.text)
+      ]);
+    } else {
+      await client.query(`
+        INSERT INTO recipe_instructions (recipe_id, step_number, text)
+        SELECT * FROM UNNEST($1::int[], $2::int[], $3::text[])
+      `, [
+        rows.map(row => row.id),
+        rows.map(row => row.index + 1),
+        rows.map(row => row.item)
+      ]);
     }
-    const countResult = await client.query(countQuery, queryParams.slice(0, -2)); // Remove LIMIT and OFFSET params
-    const total = parseInt(countResult.rows[0].count);
-    
-    client.release();
-    
-    res.json({
-      page: pageNum,
-      limit: limitNum,
-      total,
-      data: result.rows
-    });
-  } catch (err) {
-    console.error('Error searching recipes:', err);
-    res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.json({ status: 'OK', message: 'Server is running' });
-});
+// Load ingredients and instructions for the given recipe ids, keyed by id
+const fetchRecipeDetails = async (client, ids) => {
+  const details = new Map(ids.map(id => [id, { ingredients: [], instructions: [] }]));
+  if (ids.length === 0) return details;
+  
+  const ingredients = await client.query(`
+    SELECT recipe_id, quantity, unit, name, text FROM recipe_ingredients
+    WHERE recipe_id = ANY($1) ORDER BY recipe_id, position
+  `, [ids]);
+  for (const { recipe_id, ...ingredient } of ingredients.rows) {
+    details.get(recipe_id).ingredients.push(ingredient);
+  }
+  
+  const instructions = await client.query(`
+    SELECT recipe_id, text FROM recipe_instructions
+    WHERE recipe_id = ANY($1) ORDER BY recipe_id, step_number
+  `, [ids]);
+  for (const { recipe_id, text } of instructions.rows) {
+    details.get(recipe_id).instructions.push(text);
+  }
+  
+  return details;
+};
 
-// Initialize and start server
-const startServer = async () => {
+// Load a recipe with its ingredients and instructions, or null if it does not exist.
+// `client` may be the pool itself when no transaction is involved.
+const fetchRecipe = async (client, id) => {
+  const result = await client.query('SELECT * FROM recipes WHERE id = $1', [id]);
+  if (result.rows.length === 0) return null;
+  const details = await fetchRecipeDetails(client, [id]);
+  return { ...result.rows[0], ...details.get(id) };
+};
+
+// Recompute the review count and average of the given recipes. Recipes without reviews
+// fall back to their source rating.
+const refreshRecipeRatings = async (client, ids) => {
+  if (ids.length === 0) return;
+  await client.query(`
+    UPDATE recipes r SET
+      review_count = s.review_count,
+      rating = COALESCE(s.average, r.source_rating)
+    FROM (
+      SELECT recipes.id, COUNT(rv.id)::int AS review_count, AVG(rv.score)::float AS average
+      FROM recipes
+      LEFT JOIN recipe_reviews rv ON rv.recipe_id = recipes.id
+      WHERE recipes.id = ANY($1)
+      GROUP BY recipes.id
+    ) s
+    WHERE r.id = s.id
+  `, [ids]);
+};
+
+// Authentication
+
+const ROLES = ['viewer', 'editor', 'admin'];
+const BCRYPT_ROUNDS = 10;
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL = process.env.REFRESH_TOKEN_TTL || '7d';
+
+// Emails that are given the admin role when they register
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+
+// Without JWT_SECRET tokens are signed with a per-process key and stop working on restart
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+if (!process.env.JWT_SECRET) {
+  logger.warn('JWT_SECRET is not set; using a random key, so tokens will not survive a restart');
+}
+
+// Compared against when an email is unknown, so login takes as long as for a real account
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+const publicUser = ({ id, email, role, created_at }) => ({ id, email, role, created_at });
+
+const validateCredentials = (body) => {
+  const errors = [];
+  const { email, password } = body || {};
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()) || email.length > 255) {
+    errors.push({ field: 'email', message: 'email must be a valid email address' });
+  }
+  // bcrypt only uses the first 72 bytes of a password
+  if (typeof password !== 'string' || password.length < 8 || Buffer.byteLength(password) > 72) {
+    errors.push({ field: 'password', message: 'password must be between 8 and 72 bytes long' });
+  }
+  return errors;
+};
+
+// Issue an access token and a refresh token; the refresh token's id is stored so it can be revoked
+const issueTokens = async (client, user) => {
+  const accessToken = jwt.sign({ sub: String(user.id), role: user.role, type: 'access' }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL
+  });
+  
+  const jti = crypto.randomUUID();
+  const refreshToken = jwt.sign({ sub: String(user.id), type: 'refresh' }, JWT_SECRET, {
+    expiresIn: REFRESH_TOKEN_TTL,
+    jwtid: jti
+  });
+  const { exp } = jwt.decode(refreshToken);
+  await client.query(
+    'INSERT INTO refresh_tokens (jti, user_id, expires_at) VALUES ($1, $2, to_timestamp($3))',
+    [jti, user.id, exp]
+  );
+  
+  return {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    expires_in: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    refresh_token: refreshToken
+  };
+};
+
+// Verify a token of the given type, returning its payload or null
+const verifyToken = (token, type) => {
   try {
-    await initializeDatabase();
-    
-    // Check if JSON file exists and load data
-    const jsonFilePath = path.join(__dirname, 'US_recipes.json');
-    if (fs.existsSync(jsonFilePath)) {
-      await parseAndInsertRecipes(jsonFilePath);
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.type === type ? payload : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// API keys are "rk_" and 32 random characters; only their SHA-256 hash is stored
+const API_KEY_PREFIX = 'rk_';
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Attach req.user from a valid Bearer access token or X-API-Key header. Requests without either
+// stay anonymous; routes that need a user reject them through requireRole. A key acts as its
+// user with the user's current role; an unknown or revoked key is rejected outright.
+const authenticate = async (req, res, next) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    try {
+      const result = await pool.query(`
+        SELECT k.id, k.rate_limit, k.daily_quota, u.id AS user_id, u.role
+        FROM api_keys k
+        JOIN users u ON u.id = k.user_id
+        WHERE k.key_hash = $1 AND k.revoked_at IS NULL
+      `, [hashApiKey(apiKey)]);
+      if (result.rows.length === 0) {
+        return res.status(401).json({ error: 'Invalid or revoked API key' });
+      }
+      const { user_id: userId, role, ...key } = result.rows[0];
+      req.apiKey = key;
+      req.user = { id: userId, role };
+      return next();
+    } catch (err) {
+      logger.error('Error checking API key', { error: err });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+  
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  if (match) {
+    const payload = verifyToken(match[1], 'access');
+    if (payload) {
+      req.user = { id: parseInt(payload.sub), role: payload.role };
     } else {
-      console.log('US_recipes.json not found. Please add the JSON file to load recipe data.');
+      req.authError = 'Invalid or expired token';
+    }
+  }
+  next();
+};
+
+// Allow the request only for users holding `role` or a higher one
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ error: req.authError || 'Authentication required' });
+  }
+  if (ROLES.indexOf(req.user.role) < ROLES.indexOf(role)) {
+    return res.status(403).json({ error: `Requires the ${role} role` });
+  }
+  next();
+};
+
+// Rate limits
+
+// Requests per minute and per UTC day allowed to a key without limits of its own
+const API_KEY_RATE_LIMIT = parseInt(process.env.API_KEY_RATE_LIMIT) || 60;
+const API_KEY_DAILY_QUOTA = parseInt(process.env.API_KEY_DAILY_QUOTA) || 10000;
+// Requests per minute allowed to each IP address sending neither a key nor a token; unlimited when unset
+const ANONYMOUS_RATE_LIMIT = parseInt(process.env.ANONYMOUS_RATE_LIMIT) || 0;
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+const RATE_LIMIT_MAX_WINDOWS = 10000;
+
+// Fixed one-minute windows counted in process, so with several server instances each one
+// allows the full rate. Daily quotas are counted in the database and shared.
+const rateWindows = new Map();
+
+// Count a request in the current window of `client`
+const takeRateLimit = (client, limit) => {
+  const now = Date.now();
+  let window = rateWindows.get(client);
+  if (!window || window.resetAt <= now) {
+    if (rateWindows.size >= RATE_LIMIT_MAX_WINDOWS) {
+      for (const [id, entry] of rateWindows) {
+        if (entry.resetAt <= now) rateWindows.delete(id);
+      }
+    }
+    window = { count: 0, resetAt: now + RATE_LIMIT_WINDOW_MS };
+    rateWindows.set(client, window);
+  }
+  window.count++;
+  return { allowed: window.count <= limit, remaining: Math.max(0, limit - window.count), resetAt: window.resetAt };
+};
+
+// Count a request against the key's quota for today, returning the requests made today
+// including this one, or null when the quota was already used up
+const takeDailyQuota = async (keyId, quota) => {
+  const result = await pool.query(`
+    INSERT INTO api_key_usage (api_key_id, day, requests) VALUES ($1, (now() AT TIME ZONE 'utc')::date, 1)
+    ON CONFLICT (api_key_id, day) DO UPDATE SET requests = api_key_usage.requests + 1
+    WHERE api_key_usage.requests < $2
+    RETURNING requests
+  `, [keyId, quota]);
+  return result.rows.length > 0 ? result.rows[0].requests : null;
+};
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time - Date.now()) / 1000));
+
+const nextUtcMidnight = () => {
+  const midnight = new Date();
+  midnight.setUTCHours(24, 0, 0, 0);
+  return midnight.getTime();
+};
+
+const sendRateLimited = (res, message, resetAt) => {
+  const retryAfter = secondsUntil(resetAt);
+  res.set('Retry-After', String(retryAfter));
+  res.status(429).json({ error: message, retry_after: retryAfter });
+};
+
+// Apply the per-minute limit and daily quota of the request's API key, or the per-IP limit
+// to anonymous requests when ANONYMOUS_RATE_LIMIT is set. Only /api routes are limited, so
+// health checks and metric scrapes always get through.
+const enforceRateLimits = async (req, res, next) => {
+  if (!req.path.startsWith('/api/')) return next();
+  
+  if (!req.apiKey) {
+    if (req.user || !ANONYMOUS_RATE_LIMIT) return next();
+    const window = takeRateLimit(`ip:${req.ip}`, ANONYMOUS_RATE_LIMIT);
+    if (!window.allowed) {
+      return sendRateLimited(res, `Rate limit of ${ANONYMOUS_RATE_LIMIT} requests per minute exceeded; use an API key for more`, window.resetAt);
+    }
+    return next();
+  }
+  
+  const limit = req.apiKey.rate_limit || API_KEY_RATE_LIMIT;
+  const window = takeRateLimit(`key:${req.apiKey.id}`, limit);
+  res.set({
+    'X-RateLimit-Limit': String(limit),
+    'X-RateLimit-Remaining': String(window.remaining),
+    'X-RateLimit-Reset': String(secondsUntil(window.resetAt))
+  });
+  if (!window.allowed) {
+    return sendRateLimited(res, `Rate limit of ${limit} requests per minute exceeded`, window.resetAt);
+  }
+  
+  const quota = req.apiKey.daily_quota || API_KEY_DAILY_QUOTA;
+  try {
+    const used = await takeDailyQuota(req.apiKey.id, quota);
+    res.set({ 'X-Quota-Limit': String(quota), 'X-Quota-Remaining': String(used === null ? 0 : quota - used) });
+    if (used === null) {
+      return sendRateLimited(res, `Daily quota of ${quota} requests used up`, nextUtcMidnight());
     }
-    
-    app.listen(PORT, () => {
-      console.log(`Server is running on port ${PORT}`);
-    });
   } catch (err) {
-    console.error('Error starting server:', err);
-    process.exit(1);
+    logger.error('Error counting API key usage', { error: err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  next();
+};
+
+// Change feed
+
+const CHANGE_EVENTS = ['recipe.created', 'recipe.updated', 'recipe.deleted', 'import.completed'];
+const CHANGES_PAGE_LIMIT = 1000;
+// How often open event streams check for changes written by other processes (such as an
+// import run from the command line); changes written by this process are sent at once
+const CHANGE_POLL_INTERVAL_MS = parseInt(process.env.CHANGE_POLL_INTERVAL_MS) || 2000;
+const CHANGE_STREAM_KEEPALIVE_MS = 15 * 1000;
+// A stream is dropped when it holds more unsent output than this, or when its client takes
+// none of it for CHANGE_STREAM_STALL_MS; an EventSource reconnects and resumes from its last id
+const CHANGE_STREAM_MAX_BUFFER_BYTES = 1024 * 1024;
+const CHANGE_STREAM_STALL_MS = 60 * 1000;
+const WEBHOOK_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+// A failed delivery is retried after WEBHOOK_RETRY_BASE_SECONDS, then twice as long after each
+// further failure, until WEBHOOK_MAX_ATTEMPTS attempts have been made
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const WEBHOOK_RETRY_BASE_SECONDS = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const WEBHOOK_BATCH_SIZE = 20;
+
+const CHANGE_SELECT_SQL = 'SELECT id, event, recipe_id, source, data, created_at FROM recipe_changes';
+
+// Record { event, recipe_id, source, data } changes in the transaction that made them and queue
+// them for every subscribed webhook. The lock makes changes commit in id order, so a reader that
+// has seen change N never later finds one below N.
+const recordChanges = async (client, changes) => {
+  if (changes.length === 0) return;
+  await client.query("SELECT pg_advisory_xact_lock(hashtext('recipe_changes'))");
+  const result = await client.query(`
+    INSERT INTO recipe_changes (event, recipe_id, source, data)
+    SELECT * FROM UNNEST($1::text[], $2::int[], $3::text[], $4::jsonb[])
+    RETURNING id, event
+  `, [
+    changes.map(change => change.event),
+    changes.map(change => change.recipe_id === undefined ? null : change.recipe_id),
+    changes.map(change => change.source),
+    changes.map(change => JSON.stringify(change.data || {}))
+  ]);
+  await client.query(`
+    INSERT INTO webhook_deliveries (webhook_id, change_id)
+    SELECT w.id, c.id
+    FROM webhooks w
+    JOIN UNNEST($1::int[], $2::text[]) AS c(id, event) ON cardinality(w.events) = 0 OR c.event = ANY(w.events)
+    WHERE w.active
+  `, [result.rows.map(row => row.id), result.rows.map(row => row.event)]);
+};
+
+const fetchChanges = async (since, limit) => {
+  const result = await pool.query(`${CHANGE_SELECT_SQL} WHERE id > $1 ORDER BY id LIMIT $2`, [since, limit]);
+  return result.rows;
+};
+
+// Open event streams, each with the id of the last change sent to it and, while its client has
+// not taken what was written, the time it was paused
+const changeStreams = new Set();
+let changePollTimer = null;
+let changePollRunning = false;
+let changePollAgain = false;
+
+const removeChangeStream = (stream) => {
+  changeStreams.delete(stream);
+  if (changeStreams.size === 0) {
+    clearInterval(changePollTimer);
+    changePollTimer = null;
+  }
+};
+
+const dropChangeStream = (stream) => {
+  removeChangeStream(stream);
+  stream.res.end();
+};
+
+// Write to a stream, returning false when it has to wait for 'drain'. A paused stream gets
+// nothing more, and does not hold the others back, until its client catches up.
+const writeToStream = (stream, text) => {
+  stream.lastWriteAt = Date.now();
+  if (stream.res.write(text)) return true;
+  if (stream.res.writableLength > CHANGE_STREAM_MAX_BUFFER_BYTES) {
+    dropChangeStream(stream);
+    return false;
+  }
+  stream.pausedAt = Date.now();
+  stream.res.once('drain', () => {
+    stream.pausedAt = null;
+    pollChangeStreams();
+  });
+  return false;
+};
+
+const writeChangeEvent = (stream, change) => {
+  stream.lastId = change.id;
+  return writeToStream(stream, `id: ${change.id}\nevent: ${change.event}\ndata: ${JSON.stringify(change)}\n\n`);
+};
+
+// Send every stream the changes it has not seen yet. A call made while a poll is running
+// makes that poll go round again rather than starting a second one.
+const pollChangeStreams = async () => {
+  if (changePollRunning) {
+    changePollAgain = true;
+    return;
+  }
+  changePollRunning = true;
+  try {
+    do {
+      changePollAgain = false;
+      const ready = [...changeStreams].filter(stream => !stream.pausedAt);
+      if (ready.length === 0) break;
+      const since = Math.min(...ready.map(stream => stream.lastId));
+      const changes = await fetchChanges(since, CHANGES_PAGE_LIMIT);
+      for (const stream of ready) {
+        for (const change of changes) {
+          if (!changeStreams.has(stream) || stream.pausedAt) break;
+          if (change.id > stream.lastId) writeChangeEvent(stream, change);
+        }
+      }
+      if (changes.length === CHANGES_PAGE_LIMIT) changePollAgain = true;
+    } while (changePollAgain);
+    
+    // Comments keep idle connections from being closed by proxies
+    for (const stream of changeStreams) {
+      if (stream.pausedAt) {
+        if (Date.now() - stream.pausedAt >= CHANGE_STREAM_STALL_MS) dropChangeStream(stream);
+      } else if (Date.now() - stream.lastWriteAt >= CHANGE_STREAM_KEEPALIVE_MS) {
+        writeToStream(stream, ': keep-alive\n\n');
+      }
+    }
+  } catch (err) {
+    logger.error('Error polling recipe changes', { error: err });
+  } finally {
+    changePollRunning = false;
+  }
+};
+
+const openChangeStream = (res, lastId) => {
+  const stream = { res, lastId, lastWriteAt: Date.now(), pausedAt: null };
+  changeStreams.add(stream);
+  if (!changePollTimer) {
+    changePollTimer = setInterval(pollChangeStreams, CHANGE_POLL_INTERVAL_MS);
+    changePollTimer.unref();
+  }
+  return () => removeChangeStream(stream);
+};
+
+// Webhook bodies are signed like "t=<unix time>,v1=<hex HMAC-SHA256 of `${t}.${body}`>"
+const signWebhookBody = (secret, timestamp, body) =>
+  `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// POST one change to a webhook, returning { status } or { error }. Redirects count as failures.
+const sendWebhook = async ({ id, url, secret, webhook_id: webhookId, change }) => {
+  const body = JSON.stringify(change);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'recipe-api-webhooks',
+        'X-Webhook-Id': String(webhookId),
+        'X-Webhook-Delivery': String(id),
+        'X-Webhook-Event': change.event,
+        'X-Webhook-Signature': signWebhookBody(secret, timestamp, body)
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (response.body) await response.body.cancel();
+    return response.status >= 200 && response.status < 300
+      ? { status: response.status }
+      : { status: response.status, error: `Responded with ${response.status}` };
+  } catch (err) {
+    return { error: err.name === 'TimeoutError' ? `No response within ${WEBHOOK_TIMEOUT_MS} ms` : err.message };
+  }
+};
+
+const recordDeliveryAttempt = async (delivery, { status = null, error }) => {
+  if (!error) {
+    await pool.query(`
+      UPDATE webhook_deliveries SET status = 'delivered', attempts = attempts + 1, response_status = $2,
+        last_error = NULL, delivered_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [delivery.id, status]);
+    return;
+  }
+  const retrySeconds = WEBHOOK_RETRY_BASE_SECONDS * 2 ** delivery.attempts;
+  await pool.query(`
+    UPDATE webhook_deliveries SET attempts = attempts + 1, response_status = $2, last_error = $3,
+      status = CASE WHEN attempts + 1 >= $4 THEN 'failed' ELSE 'pending' END,
+      next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $5)
+    WHERE id = $1
+  `, [delivery.id, status, error, WEBHOOK_MAX_ATTEMPTS, retrySeconds]);
+  logger.warn('Webhook delivery failed', { webhook_id: delivery.webhook_id, delivery_id: delivery.id, attempt: delivery.attempts + 1, error });
+};
+
+let webhookTimer = null;
+let webhooksRunning = false;
+let webhooksAgain = false;
+
+// Send the deliveries that are due. Each is leased for long enough to be attempted, so with
+// several server instances every delivery is attempted by one of them at a time.
+const deliverWebhooks = async () => {
+  if (webhooksRunning) {
+    webhooksAgain = true;
+    return;
+  }
+  webhooksRunning = true;
+  try {
+    do {
+      webhooksAgain = false;
+      const result = await pool.query(`
+        WITH due AS (
+          SELECT d.id FROM webhook_deliveries d
+          JOIN webhooks w ON w.id = d.webhook_id AND w.active
+          WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP
+          ORDER BY d.id
+          LIMIT $1
+          FOR UPDATE OF d SKIP LOCKED
+        )
+        UPDATE webhook_deliveries d SET next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+        FROM due, webhooks w, recipe_changes c
+        WHERE d.id = due.id AND w.id = d.webhook_id AND c.id = d.change_id
+        RETURNING d.id, d.webhook_id, d.attempts, w.url, w.secret,
+          c.id AS change_id, c.event, c.recipe_id, c.source, c.data, c.created_at
+      `, [WEBHOOK_BATCH_SIZE, WEBHOOK_TIMEOUT_MS / 1000 + 60]);
+      await Promise.all(result.rows.map(async ({ change_id: changeId, event, recipe_id, source, data, created_at, ...delivery }) => {
+        const change = { id: changeId, event, recipe_id, source, data, created_at };
+        await recordDeliveryAttempt(delivery, await sendWebhook({ ...delivery, change }));
+      }));
+      if (result.rows.length === WEBHOOK_BATCH_SIZE) webhooksAgain = true;
+    } while (webhooksAgain);
+  } catch (err) {
+    logger.error('Error delivering webhooks', { error: err });
+  } finally {
+    webhooksRunning = false;
+  }
+};
+
+const startWebhookWorker = () => {
+  webhookTimer = setInterval(deliverWebhooks, WEBHOOK_POLL_INTERVAL_MS);
+  webhookTimer.unref();
+  deliverWebhooks();
+};
+
+// Pass changes this process just committed to the open streams and the webhook worker
+const publishChanges = () => {
+  if (changeStreams.size > 0) pollChangeStreams();
+  if (webhookTimer) deliverWebhooks();
+};
+
+// Recipe import
+
+const IMPORT_KEY_STRATEGIES = ['title', 'source'];
+const IMPORT_BATCH_SIZE = 500;
+
+// Serialize a value with object keys in a stable order, for change detection
+const canonicalJson = (value) => {
+  if (value === null || typeof value !== 'object') return JSON.stringify(value);
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  const keys = Object.keys(value).sort();
+  return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+};
+
+// SQL expression matching the `title` import key, used to adopt rows imported before keys existed
+const TITLE_KEY_SQL = "'title:' || LOWER(TRIM(title)) || '|' || LOWER(TRIM(COALESCE(cuisine, '')))";
+
+// Natural key identifying a recipe across imports
+const buildImportKey = (strategy, dataset, sourceKey, recipe) => {
+  if (strategy === 'source') {
+    return `${dataset}:${sourceKey}`;
+  }
+  return `title:${recipe.title.toLowerCase()}|${(recipe.cuisine || '').toLowerCase()}`;
+};
+
+const recipeChanged = (existing, recipe) => [...RECIPE_COLUMNS, 'ingredients', 'instructions'].some(field =>
+  canonicalJson(existing[field]) !== canonicalJson(recipe[field])
+);
+
+// Upsert one batch of cleaned recipes, recording the outcome of each row in the report and
+// each written row in `changes`
+const upsertRecipeBatch = async (client, batch, strategy, report, changes) => {
+  const keys = batch.map(entry => entry.importKey);
+  const legacyMatch = strategy === 'title'
+    ? ` OR (import_key IS NULL AND ${TITLE_KEY_SQL} = ANY($1))`
+    : '';
+  const existingResult = await client.query(`
+    SELECT id, import_key, ${TITLE_KEY_SQL} AS title_key,
+      ${RECIPE_COLUMNS.map(field => `${recipeColumn(field)} AS ${field}`).join(', ')}
+    FROM recipes
+    WHERE import_key = ANY($1)${legacyMatch}
+    ORDER BY import_key IS NULL, id
+  `, [keys]);
+  const details = await fetchRecipeDetails(client, existingResult.rows.map(row => row.id));
+  
+  // Rows already carrying a key win over older unkeyed rows with the same title
+  const existingByKey = new Map();
+  for (const row of existingResult.rows) {
+    const rowKey = row.import_key || row.title_key;
+    if (!existingByKey.has(rowKey)) {
+      existingByKey.set(rowKey, { ...row, ...details.get(row.id) });
+    }
+  }
+  
+  const inserts = [];
+  const written = [];
+  for (const entry of batch) {
+    const existing = existingByKey.get(entry.importKey);
+    if (!existing) {
+      inserts.push(entry);
+    } else if (recipeChanged(existing, entry.recipe)) {
+      const assignments = RECIPE_COLUMNS.map((column, index) => `${recipeColumn(column)} = $${index + 3}`);
+      await client.query(
+        `UPDATE recipes SET import_key = $2, ${assignments.join(', ')} WHERE id = $1`,
+        [existing.id, entry.importKey, ...recipeParams(entry.recipe)]
+      );
+      written.push({ id: existing.id, recipe: entry.recipe });
+      changes.push({ event: 'recipe.updated', recipe_id: existing.id, source: 'import', data: { title: entry.recipe.title, dataset: report.dataset } });
+      report.counts.updated++;
+    } else {
+      if (!existing.import_key) {
+        await client.query('UPDATE recipes SET import_key = $2 WHERE id = $1', [existing.id, entry.importKey]);
+      }
+      recordSkip(report, 'unchanged');
+    }
+  }
+  
+  if (inserts.length > 0) {
+    const columns = ['import_key', ...RECIPE_COLUMNS.map(recipeColumn)];
+    const params = [];
+    const rows = inserts.map(entry => {
+      const values = [entry.importKey, ...recipeParams(entry.recipe)];
+      const placeholders = values.map((_, index) => `$${params.length + index + 1}`);
+      params.push(...values);
+      return `(${placeholders.join(', ')})`;
+    });
+    const inserted = await client.query(
+      `INSERT INTO recipes (${columns.join(', ')}) VALUES ${rows.join(', ')} RETURNING id, import_key`,
+      params
+    );
+    const insertedIds = new Map(inserted.rows.map(row => [row.import_key, row.id]));
+    inserts.forEach(entry => {
+      written.push({ id: insertedIds.get(entry.importKey), recipe: entry.recipe });
+      changes.push({ event: 'recipe.created', recipe_id: insertedIds.get(entry.importKey), source: 'import', data: { title: entry.recipe.title, dataset: report.dataset } });
+    });
+    report.counts.inserted += inserts.length;
+  }
+  
+  await replaceRecipeDetails(client, written);
+  await refreshRecipeRatings(client, written.map(entry => entry.id));
+  await refreshRecipeTags(client, written.map(entry => entry.id));
+};
+
+const recordSkip = (report, reason) => {
+  report.counts.skipped++;
+  report.skipped[reason] = (report.skipped[reason] || 0) + 1;
+};
+
+// Recipe data is an object of recipes keyed by source key, or a list of recipes. Like a parse
+// error, data of another shape is reported as a SyntaxError.
+const checkRecipeData = (recipesData) => {
+  if (!recipesData || typeof recipesData !== 'object') {
+    throw new SyntaxError('Recipe data must be a JSON object or array');
+  }
+  return recipesData;
+};
+
+// Import recipes from the keyed-object shape of US_recipes.json (or a plain array).
+// Rows are matched on their import key and inserted, updated or skipped inside
+// a single transaction; a dry run rolls that transaction back. Returns a report.
+const importRecipes = async (recipesData, options = {}) => {
+  const {
+    dataset = 'default',
+    key = 'title',
+    dryRun = false,
+    batchSize = IMPORT_BATCH_SIZE
+  } = options;
+  
+  if (!IMPORT_KEY_STRATEGIES.includes(key)) {
+    throw new Error(`Unknown import key "${key}", expected one of: ${IMPORT_KEY_STRATEGIES.join(', ')}`);
+  }
+  checkRecipeData(recipesData);
+  
+  const report = {
+    dataset,
+    key,
+    dryRun,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    counts: { total: 0, inserted: 0, updated: 0, skipped: 0, rejected: 0 },
+    skipped: {},
+    rejected: []
+  };
+  
+  const entries = Array.isArray(recipesData)
+    ? recipesData.map((recipe, index) => [String(index), recipe])
+    : Object.entries(recipesData);
+  
+  const seenKeys = new Set();
+  const pending = [];
+  for (const [sourceKey, raw] of entries) {
+    report.counts.total++;
+    
+    const { recipe, errors } = validateRecipe(raw, { allowUnknown: true });
+    if (errors.length > 0) {
+      report.counts.rejected++;
+      report.rejected.push({
+        sourceKey,
+        title: raw && typeof raw.title === 'string' ? raw.title : null,
+        reasons: errors.map(error => error.message)
+      });
+      continue;
+    }
+    
+    const importKey = buildImportKey(key, dataset, sourceKey, recipe);
+    if (seenKeys.has(importKey)) {
+      recordSkip(report, 'duplicate key in input');
+      continue;
+    }
+    seenKeys.add(importKey);
+    pending.push({ importKey, recipe });
+  }
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Serialize concurrent imports so they cannot race on the same keys
+    await client.query("SELECT pg_advisory_xact_lock(hashtext('recipes_import'))");
+    
+    const changes = [];
+    for (let i = 0; i < pending.length; i += batchSize) {
+      await upsertRecipeBatch(client, pending.slice(i, i + batchSize), key, report, changes);
+      logger.info('Processed recipes', { dataset, processed: Math.min(i + batchSize, pending.length), total: pending.length });
+    }
+    // Recorded last, so the change log is only locked for the end of the import
+    if (changes.length > 0) {
+      changes.push({ event: 'import.completed', source: 'import', data: { dataset, counts: report.counts } });
+      await recordChanges(client, changes);
+    }
+    
+    await client.query(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  
+  if (!dryRun && report.counts.inserted + report.counts.updated > 0) {
+    await invalidateRecipeCache();
+    publishChanges();
+  }
+  report.finishedAt = new Date().toISOString();
+  return report;
+};
+
+const logImportReport = (report) => {
+  logger.info('Import finished', { dataset: report.dataset, dry_run: report.dryRun, ...report.counts });
+};
+
+// Import formats
+
+const IMPORT_FORMATS = ['json', 'jsonld', 'csv', 'html'];
+
+// Minutes in an ISO 8601 duration such as "PT1H30M" or "P1DT2H", or null when the text is not one
+const parseIsoDuration = (text) => {
+  const match = /^P(?:(\d+(?:\.\d+)?)D)?(?:T(?:(\d+(?:\.\d+)?)H)?(?:(\d+(?:\.\d+)?)M)?(?:(\d+(?:\.\d+)?)S)?)?$/i.exec(text);
+  if (!match || match.slice(1).every(part => part === undefined)) return null;
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => Number(part || 0));
+  return Math.round(days * 1440 + hours * 60 + minutes + seconds / 60);
+};
+
+// A time field from an import file: minutes, or an ISO 8601 duration converted to minutes.
+// Anything else is passed through for validation to reject.
+const importDuration = (value) => {
+  if (value === undefined || value === null || value === '' || typeof value === 'number') return value;
+  const text = String(value).trim();
+  const minutes = parseIsoDuration(text);
+  return minutes === null ? text : minutes;
+};
+
+const jsonLdTypes = (node) => [].concat(node['@type'] || []);
+
+// Every node typed Recipe, wherever it sits: top level, arrays, @graph, ItemList entries, mainEntity, ...
+const findJsonLdRecipes = (value, found = []) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => findJsonLdRecipes(item, found));
+  } else if (value && typeof value === 'object') {
+    if (jsonLdTypes(value).includes('Recipe')) {
+      found.push(value);
+    } else {
+      Object.values(value).forEach(item => findJsonLdRecipes(item, found));
+    }
+  }
+  return found;
+};
+
+// First plain string in a property that may be a string, a number, an array or a { text } / { name } node
+const jsonLdString = (value) => {
+  if (Array.isArray(value)) return value.length > 0 ? jsonLdString(value[0]) : undefined;
+  if (value && typeof value === 'object') return jsonLdString(value.text || value.name || value['@value']);
+  return value === undefined || value === null ? undefined : String(value);
+};
+
+// recipeInstructions may be text, a list of strings, HowToStep nodes or HowToSection nodes of steps
+const jsonLdSteps = (value) => {
+  if (!value) return [];
+  if (typeof value === 'string') return value.split(/\r?\n/).map(step => step.trim()).filter(Boolean);
+  if (Array.isArray(value)) return value.flatMap(jsonLdSteps);
+  if (value.itemListElement) return jsonLdSteps(value.itemListElement);
+  return jsonLdSteps(value.text);
+};
+
+// Nutrition properties other than the node type and serving size, e.g. { calories: "389 kcal" }
+const jsonLdNutrients = (nutrition) => {
+  if (!nutrition || typeof nutrition !== 'object') return undefined;
+  const nutrients = {};
+  for (const [key, value] of Object.entries(nutrition)) {
+    if (key.startsWith('@') || key === 'servingSize') continue;
+    const text = jsonLdString(value);
+    if (text !== undefined) nutrients[key] = text;
+  }
+  return nutrients;
+};
+
+// Map a schema.org Recipe node onto recipe fields. Ratings on another scale are converted to 0..5.
+const jsonLdToRecipe = (node) => {
+  const rating = node.aggregateRating && typeof node.aggregateRating === 'object' ? node.aggregateRating : null;
+  const ratingValue = rating ? Number(jsonLdString(rating.ratingValue)) : NaN;
+  const bestRating = rating && rating.bestRating !== undefined ? Number(jsonLdString(rating.bestRating)) : 5;
+  return {
+    title: jsonLdString(node.name),
+    cuisine: Array.isArray(node.recipeCuisine) ? node.recipeCuisine.map(jsonLdString).join(', ') : jsonLdString(node.recipeCuisine),
+    description: jsonLdString(node.description),
+    prep_time: importDuration(jsonLdString(node.prepTime)),
+    cook_time: importDuration(jsonLdString(node.cookTime)),
+    total_time: importDuration(jsonLdString(node.totalTime)),
+    serves: jsonLdString(node.recipeYield),
+    rating: isNaN(ratingValue) ? undefined : bestRating > 0 ? Math.round(ratingValue / bestRating * 5 * 100) / 100 : ratingValue,
+    nutrients: jsonLdNutrients(node.nutrition),
+    ingredients: [].concat(node.recipeIngredient || node.ingredients || []).map(jsonLdString).filter(Boolean),
+    instructions: jsonLdSteps(node.recipeInstructions)
+  };
+};
+
+// Recipes in parsed JSON-LD, keyed by the recipe's url or @id when it has one
+const jsonLdToRecipes = (documents) => {
+  const nodes = findJsonLdRecipes(documents);
+  if (nodes.length === 0) {
+    throw new SyntaxError('No schema.org Recipe found');
+  }
+  const recipes = {};
+  nodes.forEach((node, index) => {
+    const key = jsonLdString(node.url) || jsonLdString(node['@id']) || String(index);
+    recipes[key in recipes ? `${key}#${index}` : key] = jsonLdToRecipe(node);
+  });
+  return recipes;
+};
+
+// Parsed <script type="application/ld+json"> blocks of a saved web page. Blocks that are not
+// valid JSON are skipped, since pages often carry unrelated broken ones.
+const extractJsonLdBlocks = (html) => {
+  const blocks = [];
+  for (const match of html.matchAll(/<script[^>]*type\s*=\s*["']?application\/ld\+json["']?[^>]*>([\s\S]*?)<\/script>/gi)) {
+    try {
+      blocks.push(JSON.parse(match[1]));
+    } catch (err) {
+      continue;
+    }
+  }
+  return blocks;
+};
+
+// Split CSV text into rows of cells with the line each row starts on. Quoted cells may hold
+// commas, line breaks and quotes written as "". Blank lines are dropped.
+const parseCsv = (text) => {
+  const rows = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  
+  const endRow = () => {
+    cells.push(cell);
+    if (cells.some(value => value.trim() !== '')) rows.push({ line: rowLine, cells });
+    cells = [];
+    cell = '';
+    rowLine = line;
+  };
+  
+  for (let i = text.charCodeAt(0) === 0xFEFF ? 1 : 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line++;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      line++;
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+  if (quoted) {
+    throw new SyntaxError(`Unterminated quoted cell starting on line ${rowLine}`);
+  }
+  if (cell !== '' || cells.length > 0) endRow();
+  return rows;
+};
+
+// Header spellings accepted besides the recipe field names
+const CSV_HEADER_ALIASES = {
+  name: 'title',
+  recipe_yield: 'serves',
+  yield: 'serves',
+  directions: 'instructions',
+  steps: 'instructions'
+};
+
+// What a CSV column holds: a recipe field, or a nutrient written as "calories", "nutrients.calories"
+// or, like the CSV export, "calories_kcal" with the unit in the header. Other columns are ignored.
+const resolveCsvHeader = (header) => {
+  const name = header.trim();
+  const normalized = name.toLowerCase().replace(/[\s-]+/g, '_');
+  const field = CSV_HEADER_ALIASES[normalized] || normalized;
+  if (RECIPE_FIELDS[field] && field !== 'nutrients') {
+    return { field };
+  }
+  const match = name.match(/^(nutrients\.)?([A-Za-z]+)(?:_([A-Za-zµ]+))?$/);
+  if (!match) return null;
+  const known = Object.keys(NUTRIENT_UNITS).find(key => key.toLowerCase() === match[2].toLowerCase());
+  if (!known && !match[1]) return null;
+  return { nutrient: known || match[2], unit: match[3] || null };
+};
+
+// Recipes in CSV text with a header row, keyed by their line number. Ingredients and
+// instructions hold one entry per line of their cell; time columns take minutes or ISO 8601 durations.
+const csvToRecipes = (text) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    throw new SyntaxError('CSV file is empty');
+  }
+  const columns = header.cells.map(resolveCsvHeader);
+  if (!columns.some(column => column && column.field === 'title')) {
+    throw new SyntaxError('CSV header must have a title (or name) column');
+  }
+  
+  const recipes = {};
+  for (const { line, cells } of rows) {
+    const recipe = {};
+    columns.forEach((column, index) => {
+      const value = (cells[index] || '').trim();
+      if (!column || value === '') return;
+      if (column.nutrient) {
+        recipe.nutrients = recipe.nutrients || {};
+        recipe.nutrients[column.nutrient] = column.unit ? `${value} ${column.unit}` : value;
+      } else if (RECIPE_FIELDS[column.field].related) {
+        recipe[column.field] = value.split(/\r?\n/).map(entry => entry.trim()).filter(Boolean);
+      } else if (['prep_time', 'cook_time', 'total_time'].includes(column.field)) {
+        recipe[column.field] = importDuration(value);
+      } else {
+        recipe[column.field] = value;
+      }
+    });
+    recipes[`line ${line}`] = recipe;
+  }
+  return recipes;
+};
+
+// Format of an import file from its extension; .json files holding schema.org data are JSON-LD
+const detectImportFormat = (filename, content) => {
+  const extension = path.extname(filename || '').toLowerCase();
+  if (extension === '.csv') return 'csv';
+  if (extension === '.jsonld') return 'jsonld';
+  if (extension === '.html' || extension === '.htm') return 'html';
+  return /"@(context|type|graph)"\s*:/.test(content.slice(0, 10000)) ? 'jsonld' : 'json';
+};
+
+// Turn the contents of an import file into the recipe data importRecipes takes.
+// Malformed input throws a SyntaxError.
+const parseImportContent = (content, format) => {
+  switch (format) {
+    case 'json':
+      return checkRecipeData(JSON.parse(content));
+    case 'jsonld':
+      return jsonLdToRecipes(JSON.parse(content));
+    case 'html':
+      return jsonLdToRecipes(extractJsonLdBlocks(content));
+    case 'csv':
+      return csvToRecipes(content);
+    default:
+      throw new Error(`Unknown import format "${format}", expected one of: ${IMPORT_FORMATS.join(', ')}`);
+  }
+};
+
+// Parse and import a JSON, JSON-LD, CSV or HTML file, defaulting the dataset name to the
+// file name and the format to the one its extension suggests
+const parseAndInsertRecipes = async (filePath, options = {}) => {
+  const content = fs.readFileSync(filePath, 'utf8');
+  const format = options.format || detectImportFormat(filePath, content);
+  const recipesData = parseImportContent(content, format);
+  const dataset = options.dataset || path.basename(filePath, path.extname(filePath));
+  
+  const report = await importRecipes(recipesData, { ...options, dataset });
+  logImportReport(report);
+  return report;
+};
+
+// Numeric filters
+
+// Units each numeric field is compared in, and the units a filter value may be written in
+const UNIT_FACTORS = {
+  time: { min: 1, mins: 1, minute: 1, minutes: 1, m: 1, h: 60, hr: 60, hrs: 60, hour: 60, hours: 60 },
+  mass: { mcg: 0.000001, 'µg': 0.000001, ug: 0.000001, mg: 0.001, g: 1, kg: 1000 },
+  energy: { kcal: 1, cal: 1, calories: 1, kj: 1 / 4.184 }
+};
+
+const NUMERIC_COLUMN_FILTERS = {
+  rating: { sql: 'rating' },
+  prep_time: { sql: 'prep_time', family: 'time', unit: 'min' },
+  cook_time: { sql: 'cook_time', family: 'time', unit: 'min' },
+  total_time: { sql: 'total_time', family: 'time', unit: 'min' },
+  servings: { sql: 'servings' }
+};
+
+// Nutrient keys found in the source data and the unit their values are stored in
+const NUTRIENT_UNITS = {
+  calories: 'kcal',
+  carbohydrateContent: 'g',
+  cholesterolContent: 'mg',
+  fiberContent: 'g',
+  proteinContent: 'g',
+  saturatedFatContent: 'g',
+  sodiumContent: 'mg',
+  sugarContent: 'g',
+  fatContent: 'g',
+  transFatContent: 'g',
+  unsaturatedFatContent: 'g'
+};
+
+const unitFamily = (unit) => Object.keys(UNIT_FACTORS).find(family => unit in UNIT_FACTORS[family]);
+
+// Leading number of a nutrient string such as "389 kcal" or "1,200 mg", or NULL.
+// Like the recipes_with_calories view, values without a number never reach the cast.
+const nutrientValueSql = (key) =>
+  `CAST(SUBSTRING(REPLACE(nutrients->>'${key}', ',', '') FROM '^\\s*(\\d+(?:\\.\\d+)?)') AS FLOAT)`;
+
+// Resolve a query parameter to a numeric filter target: a column, a known nutrient
+// ("proteinContent" or the short "protein"), or any nutrient key as "nutrients.<key>"
+const resolveNumericFilter = (param) => {
+  if (NUMERIC_COLUMN_FILTERS[param]) {
+    return NUMERIC_COLUMN_FILTERS[param];
+  }
+  
+  let key = null;
+  if (NUTRIENT_UNITS[param]) {
+    key = param;
+  } else if (NUTRIENT_UNITS[`${param}Content`]) {
+    key = `${param}Content`;
+  } else if (/^nutrients\.[A-Za-z_][A-Za-z0-9_]*$/.test(param)) {
+    key = param.substring('nutrients.'.length);
+  }
+  if (!key) return null;
+  
+  const unit = NUTRIENT_UNITS[key] || null;
+  return { sql: nutrientValueSql(key), family: unit && unitFamily(unit), unit };
+};
+
+const FILTER_NUMBER_PATTERN = /^(-?\d+(?:\.\d+)?|-?\.\d+)\s*([a-zA-Zµ]*)$/;
+const FILTER_OPERATOR_PATTERN = /^(>=|<=|!=|>|<|=)?\s*(.*)$/;
+
+// Parse "20", "20g" or "0.5 kg" and convert it to the target's unit
+const parseFilterNumber = (target, text) => {
+  const match = text.trim().match(FILTER_NUMBER_PATTERN);
+  if (!match) {
+    throw new Error(`"${text}" is not a number`);
+  }
+  
+  const value = parseFloat(match[1]);
+  const unit = match[2].toLowerCase();
+  if (!unit || unit === (target.unit || '').toLowerCase()) {
+    return value;
+  }
+  if (!target.family) {
+    throw new Error(`units are not supported here ("${match[2]}")`);
+  }
+  const factors = UNIT_FACTORS[target.family];
+  if (!(unit in factors)) {
+    throw new Error(`"${match[2]}" is not a ${target.family} unit`);
+  }
+  return value * factors[unit] / factors[target.unit];
+};
+
+// Parse one filter expression into [operator, value] pairs:
+// ">=4.5", "<=500mg", "=30", "30", "!=0", or an inclusive range "4..5", "4..", "..5"
+const parseFilterExpression = (target, expression) => {
+  const text = expression.trim();
+  if (text === '') {
+    throw new Error('empty expression');
+  }
+  
+  if (text.includes('..')) {
+    const [low, high, ...rest] = text.split('..');
+    if (rest.length > 0 || (low.trim() === '' && high.trim() === '')) {
+      throw new Error(`"${text}" is not a valid range`);
+    }
+    const conditions = [];
+    if (low.trim() !== '') conditions.push(['>=', parseFilterNumber(target, low)]);
+    if (high.trim() !== '') conditions.push(['<=', parseFilterNumber(target, high)]);
+    if (conditions.length === 2 && conditions[0][1] > conditions[1][1]) {
+      throw new Error(`range "${text}" is empty`);
+    }
+    return conditions;
+  }
+  
+  const [, operator = '=', operand] = text.match(FILTER_OPERATOR_PATTERN);
+  return [[operator, parseFilterNumber(target, operand)]];
+};
+
+// Build SQL conditions for every numeric filter in the query. A parameter may hold
+// several comma-separated expressions and may be repeated; all of them must match.
+const buildNumericFilters = (query, queryParams) => {
+  const conditions = [];
+  const errors = [];
+  
+  for (const [param, rawValue] of Object.entries(query)) {
+    const target = resolveNumericFilter(param);
+    if (!target) continue;
+    
+    const expressions = [].concat(rawValue).join(',').split(',');
+    for (const expression of expressions) {
+      try {
+        for (const [operator, value] of parseFilterExpression(target, String(expression))) {
+          queryParams.push(value);
+          conditions.push(`${target.sql} ${operator === '!=' ? '<>' : operator} $${queryParams.length}`);
+        }
+      } catch (err) {
+        errors.push({ field: param, message: `${param} ${err.message}` });
+      }
+    }
+  }
+  
+  return { conditions, errors };
+};
+
+// Dietary tags
+
+// Each tag is given to recipes matching every filter of its rule, written like the numeric
+// search filters. Nutrients are per serving. TAG_RULES_FILE may name a JSON file of the same
+// shape to use instead.
+const DEFAULT_TAG_RULES = {
+  'high-protein': { proteinContent: '>=20g' },
+  'low-carb': { carbohydrateContent: '<=15g' },
+  'low-sodium': { sodiumContent: '<=140mg' },
+  'low-fat': { fatContent: '<=3g' },
+  'low-calorie': { calories: '<=400kcal' },
+  'high-fiber': { fiberContent: '>=5g' },
+  quick: { total_time: '<=30min' }
+};
+
+const TAG_NAME_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Check every rule compiles, so a bad rules file stops the server instead of tagging nothing
+const validateTagRules = (rules) => {
+  if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+    throw new Error('Tag rules must be an object of tag names to filters');
+  }
+  for (const [tag, rule] of Object.entries(rules)) {
+    if (!TAG_NAME_PATTERN.test(tag)) {
+      throw new Error(`Tag "${tag}" must be lowercase words joined by hyphens`);
+    }
+    if (!rule || typeof rule !== 'object' || Object.keys(rule).length === 0) {
+      throw new Error(`Tag "${tag}" needs at least one filter`);
+    }
+    const unknown = Object.keys(rule).filter(param => !resolveNumericFilter(param));
+    const { errors } = buildNumericFilters(rule, []);
+    if (unknown.length > 0 || errors.length > 0) {
+      const reasons = [...unknown.map(param => `${param} is not a numeric field or nutrient`), ...errors.map(error => error.message)];
+      throw new Error(`Tag "${tag}" has an invalid rule: ${reasons.join('; ')}`);
+    }
+  }
+  return rules;
+};
+
+const TAG_RULES = validateTagRules(process.env.TAG_RULES_FILE
+  ? JSON.parse(fs.readFileSync(path.resolve(process.env.TAG_RULES_FILE), 'utf8'))
+  : DEFAULT_TAG_RULES);
+
+// SQL array of the tags a recipe row earns under TAG_RULES, adding rule values to params
+const buildTagsSql = (params) => {
+  const cases = Object.entries(TAG_RULES).map(([tag, rule]) => {
+    const { conditions } = buildNumericFilters(rule, params);
+    return `CASE WHEN ${conditions.join(' AND ')} THEN '${tag}' END`;
+  });
+  return cases.length > 0 ? `ARRAY_REMOVE(ARRAY[${cases.join(', ')}]::text[], NULL)` : `'{}'::text[]`;
+};
+
+// Recompute the tags of the given recipes, or of every recipe when `ids` is omitted.
+// Rows whose tags are unchanged are not rewritten.
+const refreshRecipeTags = async (client, ids) => {
+  if (ids && ids.length === 0) return 0;
+  const params = [];
+  const tagsSql = buildTagsSql(params);
+  const conditions = [`tags IS DISTINCT FROM ${tagsSql}`];
+  if (ids) {
+    params.push(ids);
+    conditions.push(`id = ANY($${params.length})`);
+  }
+  const result = await client.query(`UPDATE recipes SET tags = ${tagsSql} WHERE ${conditions.join(' AND ')}`, params);
+  return result.rowCount;
+};
+
+// Parse `tags=high-protein,!low-carb` into tags to require and tags to exclude
+const buildTagFilters = (tags, queryParams, errors) => {
+  const conditions = [];
+  const include = [];
+  const exclude = [];
+  for (const term of [].concat(tags).join(',').split(',').map(term => term.trim()).filter(Boolean)) {
+    const tag = term.startsWith('!') ? term.substring(1).trim() : term;
+    if (!TAG_RULES[tag]) {
+      errors.push({ field: 'tags', message: `Unknown tag "${tag}", expected one of: ${Object.keys(TAG_RULES).join(', ')}` });
+      continue;
+    }
+    (term.startsWith('!') ? exclude : include).push(tag);
+  }
+  if (include.length > 0) {
+    queryParams.push(include);
+    conditions.push(`tags @> $${queryParams.length}::text[]`);
+  }
+  if (exclude.length > 0) {
+    queryParams.push(exclude);
+    conditions.push(`NOT tags && $${queryParams.length}::text[]`);
+  }
+  return conditions;
+};
+
+// Full-text search
+
+// Split a search string into terms: words, "quoted phrases", prefixes ending in *,
+// and exclusions starting with -
+const parseTextQuery = (q) => {
+  const terms = [];
+  const pattern = /(-?)"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = pattern.exec(q)) !== null) {
+    if (match[2] !== undefined) {
+      terms.push({ text: match[2], phrase: true, negate: match[1] === '-' });
+      continue;
+    }
+    let word = match[3];
+    const negate = word.length > 1 && word.startsWith('-');
+    if (negate) word = word.substring(1);
+    const prefix = word.length > 1 && word.endsWith('*');
+    if (prefix) word = word.slice(0, -1);
+    terms.push({ text: word, prefix, negate });
+  }
+  return terms;
+};
+
+// Build a tsquery expression for `q`, adding its parameters to queryParams.
+// Returns null when the search string has no usable terms.
+const buildTextQuery = (q, queryParams) => {
+  const parts = [];
+  for (const term of parseTextQuery(String(q))) {
+    let sql;
+    if (term.prefix) {
+      // Only letters and digits reach to_tsquery, so user input cannot break its syntax
+      const words = term.text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+      if (words.length === 0) continue;
+      queryParams.push(words.join(' & ') + ':*');
+      sql = `to_tsquery('english', $${queryParams.length})`;
+    } else {
+      if (term.text.trim() === '') continue;
+      queryParams.push(term.text);
+      sql = `${term.phrase ? 'phraseto_tsquery' : 'plainto_tsquery'}('english', $${queryParams.length})`;
+    }
+    parts.push(term.negate ? `!!${sql}` : sql);
+  }
+  return parts.length > 0 ? `(${parts.join(' && ')})` : null;
+};
+
+// Matches are wrapped in <mark> tags; clients should treat the rest as plain text
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, MaxFragments=2';
+
+// Build the WHERE conditions shared by every endpoint that accepts search filters.
+// `textQuery` is the tsquery for `q`, for ranking and highlighting.
+const buildSearchFilters = (query) => {
+  const { title, cuisine, ingredients } = query;
+  const whereConditions = [];
+  const queryParams = [];
+  
+  if (title) {
+    queryParams.push(`%${title}%`);
+    whereConditions.push(`title ILIKE $${queryParams.length}`);
+  }
+  
+  if (cuisine) {
+    queryParams.push(`%${cuisine}%`);
+    whereConditions.push(`cuisine ILIKE $${queryParams.length}`);
+  }
+  
+  // Ingredient filters: "chicken,!peanut" requires chicken and excludes peanut
+  if (ingredients) {
+    const terms = [].concat(ingredients).join(',').split(',').map(term => term.trim());
+    for (const term of terms) {
+      const exclude = term.startsWith('!');
+      const name = exclude ? term.substring(1).trim() : term;
+      if (!name) continue;
+      queryParams.push(`%${name}%`);
+      whereConditions.push(`${exclude ? 'NOT ' : ''}EXISTS (
+        SELECT 1 FROM recipe_ingredients ri WHERE ri.recipe_id = recipes.id AND ri.name ILIKE $${queryParams.length}
+      )`);
+    }
+  }
+  
+  // Full-text search over title, cuisine and description
+  const textQuery = query.q ? buildTextQuery([].concat(query.q).join(' '), queryParams) : null;
+  if (textQuery) {
+    whereConditions.push(`(${SEARCH_VECTOR_SQL}) @@ ${textQuery}`);
+  }
+  
+  const numeric = buildNumericFilters(query, queryParams);
+  whereConditions.push(...numeric.conditions);
+  
+  const errors = [...numeric.errors];
+  if (query.tags) {
+    whereConditions.push(...buildTagFilters(query.tags, queryParams, errors));
+  }
+  
+  return { whereConditions, queryParams, errors, textQuery };
+};
+
+// Facets
+
+// Numeric facets are counted in half-open [min, max) bands; a missing bound is open-ended
+const FACET_BANDS = {
+  rating: { sql: 'rating', bands: [[4.5, null], [4, 4.5], [3, 4], [null, 3]] },
+  total_time: { sql: 'total_time', bands: [[null, 15], [15, 30], [30, 60], [60, 120], [120, null]] },
+  calories: { sql: nutrientValueSql('calories'), bands: [[null, 200], [200, 400], [400, 600], [600, 800], [800, null]] }
+};
+const FACET_NAMES = ['cuisine', ...Object.keys(FACET_BANDS)];
+const CUISINE_FACET_LIMIT = 50;
+
+// Parse `facets=cuisine,rating` (or `facets=all`) into a list of facet names
+const parseFacets = (facetsParam, errors) => {
+  if (!facetsParam) return [];
+  const names = [].concat(facetsParam).join(',').split(',').map(name => name.trim()).filter(Boolean);
+  if (names.includes('all')) return FACET_NAMES;
+  
+  const unknown = names.filter(name => !FACET_NAMES.includes(name));
+  if (unknown.length > 0) {
+    errors.push({ field: 'facets', message: `facets must be "all" or any of ${FACET_NAMES.join(', ')} (got ${unknown.join(', ')})` });
+  }
+  return [...new Set(names.filter(name => FACET_NAMES.includes(name)))];
+};
+
+// Band label and the numeric filter expression that selects it, e.g. ">=4,<4.5"
+const describeBand = ([min, max]) => ({
+  label: min === null ? `<${max}` : max === null ? `${min}+` : `${min}-${max}`,
+  min,
+  max,
+  filter: [min !== null && `>=${min}`, max !== null && `<${max}`].filter(Boolean).join(',')
+});
+
+const bandCondition = (sql, [min, max]) =>
+  [min !== null && `${sql} >= ${min}`, max !== null && `${sql} < ${max}`].filter(Boolean).join(' AND ');
+
+// Count matching recipes per cuisine and per numeric band under the current filters
+const computeFacets = async (client, names, whereConditions, queryParams) => {
+  const where = whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+  const facets = {};
+  
+  if (names.includes('cuisine')) {
+    const result = await client.query(`
+      SELECT cuisine AS value, COUNT(*)::int AS count
+      FROM recipes ${where}
+      GROUP BY cuisine
+      ORDER BY count DESC, cuisine ASC NULLS LAST
+      LIMIT ${CUISINE_FACET_LIMIT + 1}
+    `, queryParams);
+    const values = result.rows.filter(row => row.value !== null);
+    const missing = result.rows.find(row => row.value === null);
+    facets.cuisine = {
+      values: values.slice(0, CUISINE_FACET_LIMIT),
+      missing: missing ? missing.count : 0
+    };
+  }
+  
+  const banded = names.filter(name => FACET_BANDS[name]);
+  if (banded.length > 0) {
+    const columns = [];
+    for (const name of banded) {
+      const { sql, bands } = FACET_BANDS[name];
+      bands.forEach((band, index) => {
+        columns.push(`COUNT(*) FILTER (WHERE ${bandCondition(sql, band)})::int AS "${name}_${index}"`);
+      });
+      columns.push(`COUNT(*) FILTER (WHERE ${sql} IS NULL)::int AS "${name}_missing"`);
+    }
+    const result = await client.query(`SELECT ${columns.join(', ')} FROM recipes ${where}`, queryParams);
+    const counts = result.rows[0];
+    
+    for (const name of banded) {
+      facets[name] = {
+        buckets: FACET_BANDS[name].bands.map((band, index) => ({ ...describeBand(band), count: counts[`${name}_${index}`] })),
+        missing: counts[`${name}_missing`]
+      };
+    }
+  }
+  
+  return facets;
+};
+
+// Statistics
+
+// Histograms count recipes in `bins` bins of `width`; the first bin also takes anything lower
+// and the last anything higher, so every known value is counted once
+const STAT_HISTOGRAMS = {
+  rating: { sql: 'rating', width: 0.5, bins: 10 },
+  total_time: { sql: 'total_time', width: 15, bins: 17 },
+  calories: { sql: nutrientValueSql('calories'), width: 100, bins: 16 }
+};
+const STATS_TOP_LIMIT = 50;
+
+const histogramBands = ({ width, bins }) => Array.from({ length: bins }, (_, index) => [
+  index === 0 ? null : index * width,
+  index === bins - 1 ? null : (index + 1) * width
+]);
+
+// Condition under which a field counts as filled in: text must be non-empty, nutrients must
+// hold at least one entry and ingredients and instructions at least one row
+const completenessSql = (field, { type, related }) => {
+  if (related) return `EXISTS (SELECT 1 FROM recipe_${field} detail WHERE detail.recipe_id = recipes.id)`;
+  if (type === 'string') return `COALESCE(${field}, '') <> ''`;
+  if (type === 'object') return `COALESCE(${field}, '{}'::jsonb) <> '{}'::jsonb`;
+  return `${field} IS NOT NULL`;
+};
+
+// `rating` is the displayed rating (review average or source rating); servings and calories are
+// checked as parsed, since a `serves` text or nutrient string without a number is of no use
+const COMPLETENESS_FIELDS = {
+  ...Object.fromEntries(Object.entries(RECIPE_FIELDS).map(([field, definition]) => [field, completenessSql(field, definition)])),
+  servings: 'servings IS NOT NULL',
+  calories: `${nutrientValueSql('calories')} IS NOT NULL`
+};
+
+const whereSql = (whereConditions) => whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : '';
+
+// Averages are rounded to two decimals; an empty set gives null
+const averageSql = (sql) => `ROUND(AVG(${sql})::numeric, 2)::float`;
+
+// Totals and averages of the matching recipes, with the number holding each tag
+const computeStatsSummary = async (whereConditions, queryParams) => {
+  const where = whereSql(whereConditions);
+  const totals = await pool.query(`
+    SELECT COUNT(*)::int AS total, COUNT(DISTINCT cuisine)::int AS cuisines,
+      COALESCE(SUM(review_count), 0)::int AS reviews, ${averageSql('rating')} AS average_rating,
+      ${averageSql('total_time')} AS average_total_time, ${averageSql(nutrientValueSql('calories'))} AS average_calories
+    FROM recipes ${where}
+  `, queryParams);
+  const tags = await pool.query(`
+    SELECT tag, COUNT(*)::int AS count FROM recipes, UNNEST(tags) AS tag ${where}
+    GROUP BY tag ORDER BY count DESC, tag
+  `, queryParams);
+  return { ...totals.rows[0], tags: tags.rows };
+};
+
+// Recipe count and averages per cuisine, largest first. Recipes without a cuisine are counted in `missing`.
+const computeCuisineStats = async (whereConditions, queryParams, query) => {
+  const limit = Math.min(parseInt(query.limit) || 20, CUISINE_FACET_LIMIT);
+  const result = await pool.query(`
+    SELECT cuisine, COUNT(*)::int AS count, ${averageSql('rating')} AS average_rating,
+      ${averageSql('total_time')} AS average_total_time, ${averageSql(nutrientValueSql('calories'))} AS average_calories
+    FROM recipes ${whereSql(whereConditions)}
+    GROUP BY cuisine
+    ORDER BY cuisine IS NULL, count DESC, cuisine
+  `, queryParams);
+  const rows = result.rows.filter(row => row.cuisine !== null);
+  const missing = result.rows.find(row => row.cuisine === null);
+  return {
+    data: rows.slice(0, limit),
+    cuisines: rows.length,
+    missing: missing ? missing.count : 0
+  };
+};
+
+// Histogram of rating, total time and calories with a summary of each. Buckets carry the
+// numeric filter expression that selects them, as facet buckets do.
+const computeDistributions = async (whereConditions, queryParams) => {
+  const columns = [];
+  for (const [name, histogram] of Object.entries(STAT_HISTOGRAMS)) {
+    const { sql } = histogram;
+    histogramBands(histogram).forEach((band, index) => {
+      columns.push(`COUNT(*) FILTER (WHERE ${bandCondition(sql, band)})::int AS "${name}_${index}"`);
+    });
+    columns.push(
+      `COUNT(${sql})::int AS "${name}_count"`,
+      `(COUNT(*) - COUNT(${sql}))::int AS "${name}_missing"`,
+      `MIN(${sql})::float AS "${name}_min"`,
+      `MAX(${sql})::float AS "${name}_max"`,
+      `${averageSql(sql)} AS "${name}_mean"`,
+      `PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${sql}) AS "${name}_median"`
+    );
+  }
+  const result = await pool.query(`SELECT ${columns.join(', ')} FROM recipes ${whereSql(whereConditions)}`, queryParams);
+  const row = result.rows[0];
+  
+  return Object.fromEntries(Object.entries(STAT_HISTOGRAMS).map(([name, histogram]) => [name, {
+    bin_width: histogram.width,
+    buckets: histogramBands(histogram).map((band, index) => ({ ...describeBand(band), count: row[`${name}_${index}`] })),
+    ...Object.fromEntries(['count', 'missing', 'min', 'max', 'mean', 'median'].map(key => [key, row[`${name}_${key}`]]))
+  }]));
+};
+
+// For each field, how many matching recipes have it filled in
+const computeCompleteness = async (whereConditions, queryParams) => {
+  const fields = Object.keys(COMPLETENESS_FIELDS);
+  const result = await pool.query(`
+    SELECT COUNT(*)::int AS total, ${fields.map(field => `COUNT(*) FILTER (WHERE ${COMPLETENESS_FIELDS[field]})::int AS "${field}"`).join(', ')}
+    FROM recipes ${whereSql(whereConditions)}
+  `, queryParams);
+  const { total, ...present } = result.rows[0];
+  
+  return {
+    total,
+    fields: fields.map(field => ({
+      field,
+      present: present[field],
+      missing: total - present[field],
+      percent_present: total > 0 ? Math.round(present[field] / total * 1000) / 10 : null
+    }))
+  };
+};
+
+// Top-N lists: best rated, most reviewed, quickest, and the ingredients used by the most recipes
+const computeTopLists = async (whereConditions, queryParams, query) => {
+  const limit = Math.min(parseInt(query.limit) || 10, STATS_TOP_LIMIT);
+  const where = whereSql(whereConditions);
+  const params = [...queryParams, limit];
+  const limitParam = `$${params.length}`;
+  const recipeList = async (condition, order) => {
+    const result = await pool.query(`
+      SELECT id, title, cuisine, rating, review_count, total_time FROM recipes
+      WHERE ${[...whereConditions, condition].join(' AND ')}
+      ORDER BY ${order}, id LIMIT ${limitParam}
+    `, params);
+    return result.rows;
+  };
+  
+  const ingredients = await pool.query(`
+    SELECT LOWER(name) AS name, COUNT(DISTINCT recipe_id)::int AS count
+    FROM recipe_ingredients
+    WHERE recipe_id IN (SELECT id FROM recipes ${where})
+    GROUP BY LOWER(name)
+    ORDER BY count DESC, name LIMIT ${limitParam}
+  `, params);
+  
+  return {
+    top_rated: await recipeList('rating IS NOT NULL', 'rating DESC, review_count DESC'),
+    most_reviewed: await recipeList('review_count > 0', 'review_count DESC, rating DESC NULLS LAST'),
+    quickest: await recipeList('total_time > 0', 'total_time ASC, rating DESC NULLS LAST'),
+    common_ingredients: ingredients.rows
+  };
+};
+
+// Sorting and pagination
+
+// Fields accepted by `sort`, with the SQL type used to compare cursor values
+const SORT_FIELDS = {
+  rating: { sql: 'rating', type: 'float8' },
+  total_time: { sql: 'total_time', type: 'int' },
+  prep_time: { sql: 'prep_time', type: 'int' },
+  cook_time: { sql: 'cook_time', type: 'int' },
+  calories: { sql: nutrientValueSql('calories'), type: 'float8' },
+  title: { sql: 'title', type: 'text' },
+  created_at: { sql: 'created_at', type: 'timestamp' },
+  relevance: { type: 'float8', requiresText: true }
+};
+
+// Parse "rating:desc,title", "-rating,title" or "title:asc" into [{ field, direction }]
+const parseSort = (sortParam, hasTextQuery, errors) => {
+  if (!sortParam) {
+    return [hasTextQuery ? { field: 'relevance', direction: 'desc' } : { field: 'rating', direction: 'desc' }];
+  }
+  
+  const spec = [];
+  for (const part of [].concat(sortParam).join(',').split(',')) {
+    const text = part.trim();
+    if (text === '') continue;
+    const match = text.match(/^(-?)([a-z_]+)(?::(asc|desc))?$/i);
+    const field = match && match[2].toLowerCase();
+    if (!match || !SORT_FIELDS[field] || (match[1] && match[3])) {
+      errors.push({ field: 'sort', message: `sort "${text}" is not valid; use one of ${Object.keys(SORT_FIELDS).join(', ')} with :asc or :desc` });
+      continue;
+    }
+    if (SORT_FIELDS[field].requiresText && !hasTextQuery) {
+      errors.push({ field: 'sort', message: 'sort by relevance requires q' });
+      continue;
+    }
+    if (spec.some(entry => entry.field === field)) continue;
+    spec.push({ field, direction: match[1] ? 'desc' : (match[3] || 'asc').toLowerCase() });
+  }
+  return spec;
+};
+
+// Expand a sort spec into ORDER BY keys. Each field is preceded by an IS NULL flag so
+// NULLs sort last in either direction, and id breaks ties so every position is unique.
+const buildSortKeys = (spec, rankSql) => {
+  const keys = [];
+  for (const { field, direction } of spec) {
+    const sql = field === 'relevance' ? rankSql : SORT_FIELDS[field].sql;
+    keys.push({ sql: `((${sql}) IS NULL)`, type: 'bool', direction: 'asc' });
+    keys.push({ sql, type: SORT_FIELDS[field].type, direction });
+  }
+  keys.push({ sql: 'id', type: 'int', direction: 'asc' });
+  return keys;
+};
+
+// Rows strictly after (or, walking backwards, before) the cursor position:
+// k1 > v1 OR (k1 = v1 AND k2 > v2) OR ..., with > flipped for descending keys
+const keysetCondition = (keys, values, backward, params) => {
+  const clauses = keys.map((key, index) => {
+    const equalities = keys.slice(0, index).map((previous, previousIndex) => {
+      params.push(values[previousIndex]);
+      return `${previous.sql} IS NOT DISTINCT FROM $${params.length}::${previous.type}`;
+    });
+    params.push(values[index]);
+    const operator = (key.direction === 'desc') !== backward ? '<' : '>';
+    return [...equalities, `${key.sql} ${operator} $${params.length}::${key.type}`].join(' AND ');
+  });
+  return `(${clauses.map(clause => `(${clause})`).join(' OR ')})`;
+};
+
+const sortSpecString = (spec) => spec.map(({ field, direction }) => `${field}:${direction}`).join(',');
+
+// Cursors are opaque to clients: base64url JSON holding the sort, direction and key values
+const encodeCursor = (sort, direction, values) => Buffer.from(JSON.stringify({ s: sort, d: direction, v: values }))
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/\//g, '_')
+  .replace(/=+$/, '');
+
+const decodeCursor = (cursor, sort, keyCount, errors) => {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64').toString('utf8'));
+    if (!data || !Array.isArray(data.v) || data.v.length !== keyCount || !['next', 'prev'].includes(data.d)) {
+      throw new Error('malformed cursor');
+    }
+    if (data.s !== sort) {
+      errors.push({ field: 'cursor', message: 'cursor was created for a different sort' });
+      return null;
+    }
+    return data;
+  } catch (err) {
+    errors.push({ field: 'cursor', message: 'cursor is invalid' });
+    return null;
+  }
+};
+
+// Share of the score taken by rating (0..1) when ranking full-text results
+const parseRatingWeight = (query, errors) => {
+  const ratingWeight = query.rating_weight === undefined ? 0 : Number(query.rating_weight);
+  if (isNaN(ratingWeight) || ratingWeight < 0 || ratingWeight > 1) {
+    errors.push({ field: 'rating_weight', message: 'rating_weight must be a number between 0 and 1' });
+  }
+  return ratingWeight;
+};
+
+// Relevance score for `textQuery`, adding the rating weight to params. ts_rank normalization 32
+// scales relevance into 0..1 so it can be blended with rating / 5.
+const buildRankSql = (textQuery, ratingWeight, params) => {
+  if (!textQuery) return null;
+  params.push(ratingWeight);
+  const weight = `$${params.length}::float`;
+  return `(ts_rank(${SEARCH_VECTOR_SQL}, ${textQuery}, 32) * (1 - ${weight}) + COALESCE(rating, 0) / 5 * ${weight})`;
+};
+
+// Run a recipe listing with the given filters and send the page. `listing` holds the query
+// parameters: `sort`, offset pagination (`page`), keyset pagination (`cursor`), `count=false`
+// to skip COUNT(*), `rating_weight` and the `q` to highlight.
+// `facets` lists the facet counts to add to the response. `beforeSend` runs with the client
+// once the page is ready, and only when it is sent.
+const sendRecipePage = async (listing, res, { whereConditions, queryParams, errors, textQuery }, facets = [], { beforeSend } = {}) => {
+  const page = Math.max(1, parseInt(listing.page) || 1);
+  const limit = Math.max(1, Math.min(parseInt(listing.limit) || 10, 50));
+  const withCount = listing.count !== 'false';
+  
+  const ratingWeight = parseRatingWeight(listing, errors);
+  const spec = parseSort(listing.sort, Boolean(textQuery), errors);
+  const sort = sortSpecString(spec);
+  const params = [...queryParams];
+  const rankSql = buildRankSql(textQuery, ratingWeight, params);
+  const keys = buildSortKeys(spec, rankSql);
+  
+  const cursor = listing.cursor ? decodeCursor(listing.cursor, sort, keys.length, errors) : null;
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  const backward = Boolean(cursor) && cursor.d === 'prev';
+  const conditions = [...whereConditions];
+  if (cursor) {
+    conditions.push(keysetCondition(keys, cursor.v, backward, params));
+  }
+  
+  let query = `SELECT *${rankSql ? `, ${rankSql} AS rank` : ''}, json_build_array(${keys.map(key => key.sql).join(', ')}) AS cursor_values FROM recipes`;
+  if (conditions.length > 0) {
+    query += ` WHERE ${conditions.join(' AND ')}`;
+  }
+  query += ` ORDER BY ${keys.map(key => `${key.sql} ${(key.direction === 'desc') !== backward ? 'DESC' : 'ASC'}`).join(', ')}`;
+  
+  // Fetch one extra row to learn whether another page follows
+  const offset = cursor ? 0 : (page - 1) * limit;
+  params.push(limit + 1, offset);
+  query += ` LIMIT $${params.length - 1} OFFSET $${params.length}`;
+  
+  const client = await pool.connect();
+  try {
+    const result = await client.query(query, params);
+    
+    const hasMore = result.rows.length > limit;
+    const rows = result.rows.slice(0, limit);
+    if (backward) rows.reverse();
+    
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    const cursorFor = (row, direction) => row ? encodeCursor(sort, direction, row.cursor_values) : null;
+    const nextCursor = backward || hasMore ? cursorFor(last, 'next') : null;
+    const prevCursor = (backward ? hasMore : Boolean(cursor) || offset > 0) ? cursorFor(first, 'prev') : null;
+    rows.forEach(row => delete row.cursor_values);
+    
+    // Highlight only the rows on this page; ts_headline is too costly to run on every match
+    if (textQuery && rows.length > 0) {
+      const headlineParams = [];
+      const headlineQuery = buildTextQuery([].concat(listing.q).join(' '), headlineParams);
+      headlineParams.push(rows.map(row => row.id));
+      const headlines = await client.query(`
+        SELECT id, json_build_object(
+          'title', ts_headline('english', COALESCE(title, ''), ${headlineQuery}, '${HEADLINE_OPTIONS}, HighlightAll=true'),
+          'description', ts_headline('english', COALESCE(description, ''), ${headlineQuery}, '${HEADLINE_OPTIONS}')
+        ) AS highlights
+        FROM recipes WHERE id = ANY($${headlineParams.length})
+      `, headlineParams);
+      const highlightsById = new Map(headlines.rows.map(row => [row.id, row.highlights]));
+      rows.forEach(row => { row.highlights = highlightsById.get(row.id); });
+    }
+    
+    // Get total count for pagination
+    let total = null;
+    if (withCount) {
+      let countQuery = 'SELECT COUNT(*) FROM recipes';
+      if (whereConditions.length > 0) {
+        countQuery += ` WHERE ${whereConditions.join(' AND ')}`;
+      }
+      const countResult = await client.query(countQuery, queryParams);
+      total = parseInt(countResult.rows[0].count);
+    }
+    
+    const response = {
+      page: cursor ? null : page,
+      limit,
+      total,
+      sort,
+      next_cursor: nextCursor,
+      prev_cursor: prevCursor,
+      data: rows
+    };
+    if (facets.length > 0) {
+      response.facets = await computeFacets(client, facets, whereConditions, queryParams);
+    }
+    if (beforeSend) {
+      await beforeSend(client);
+    }
+    res.json(response);
+  } finally {
+    client.release();
+  }
+};
+
+// Exports
+
+const EXPORT_FORMATS = ['csv', 'ndjson'];
+const RECIPE_EXPORT_FORMATS = ['jsonld', 'html', 'pdf'];
+// Rows fetched per query while streaming an export
+const EXPORT_BATCH_SIZE = 1000;
+
+// CSV columns taken from the recipe as they are; ingredients, instructions and one column
+// per nutrient (in the unit of NUTRIENT_UNITS) follow them
+const CSV_COLUMNS = ['id', 'title', 'cuisine', 'rating', 'review_count', 'prep_time', 'cook_time',
+  'total_time', 'serves', 'servings', 'description'];
+
+// Text starting like a formula is prefixed with ' so spreadsheets show it instead of running it
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvHeader = () => [
+  ...CSV_COLUMNS,
+  'ingredients',
+  'instructions',
+  ...Object.entries(NUTRIENT_UNITS).map(([key, unit]) => `${key}_${unit}`)
+].join(',') + '\r\n';
+
+// One CSV line; ingredients and instructions are one per line inside their quoted cell
+const csvRow = (recipe) => [
+  ...CSV_COLUMNS.map(column => recipe[column]),
+  recipe.ingredients.map(ingredient => ingredient.text).join('\n'),
+  recipe.instructions.join('\n'),
+  ...Object.keys(NUTRIENT_UNITS).map(key => {
+    const parsed = recipe.nutrition && recipe.nutrition[key];
+    return parsed ? roundAmount(nutrientAmount(key, parsed)) : null;
+  })
+].map(csvValue).join(',') + '\r\n';
+
+// Stream every recipe matching the search filters as CSV or NDJSON, in the requested sort.
+// Rows are read in keyset batches so no connection is held while a slow client drains the response.
+const streamRecipeExport = async (req, res, format) => {
+  const { whereConditions, queryParams, errors, textQuery } = buildSearchFilters(req.query);
+  if (!EXPORT_FORMATS.includes(format)) {
+    errors.push({ field: 'format', message: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  const ratingWeight = parseRatingWeight(req.query, errors);
+  const spec = parseSort(req.query.sort, Boolean(textQuery), errors);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  const params = [...queryParams];
+  const rankSql = buildRankSql(textQuery, ratingWeight, params);
+  const keys = buildSortKeys(spec, rankSql);
+  const orderBy = keys.map(key => `${key.sql} ${key.direction === 'desc' ? 'DESC' : 'ASC'}`).join(', ');
+  
+  const filename = `recipes-${new Date().toISOString().slice(0, 10)}.${format}`;
+  res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  // Wait until the client takes more output, or until it disconnects and the loop below stops
+  const write = async (chunk) => {
+    if (res.write(chunk) || res.destroyed) return;
+    const controller = new AbortController();
+    const { signal } = controller;
+    await Promise.race([once(res, 'drain', { signal }), once(res, 'close', { signal })]);
+    controller.abort();
+  };
+  if (format === 'csv') await write(csvHeader());
+  
+  let after = null;
+  while (!res.destroyed) {
+    const batchParams = [...params];
+    const conditions = [...whereConditions];
+    if (after) {
+      conditions.push(keysetCondition(keys, after, false, batchParams));
+    }
+    batchParams.push(EXPORT_BATCH_SIZE);
+    const result = await pool.query(`
+      SELECT *, json_build_array(${keys.map(key => key.sql).join(', ')}) AS cursor_values FROM recipes
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY ${orderBy}
+      LIMIT $${batchParams.length}
+    `, batchParams);
+    
+    const details = await fetchRecipeDetails(pool, result.rows.map(row => row.id));
+    for (const { cursor_values, ...row } of result.rows) {
+      if (res.destroyed) break;
+      const recipe = { ...row, ...details.get(row.id) };
+      await write(format === 'csv' ? csvRow(recipe) : JSON.stringify(recipe) + '\n');
+    }
+    
+    if (result.rows.length < EXPORT_BATCH_SIZE) break;
+    after = result.rows[result.rows.length - 1].cursor_values;
+  }
+  res.end();
+};
+
+// Minutes as an ISO 8601 duration, e.g. 90 -> "PT1H30M"
+const isoDuration = (minutes) => {
+  if (minutes === null || minutes === undefined) return undefined;
+  const hours = Math.floor(minutes / 60);
+  return `PT${hours > 0 ? `${hours}H` : ''}${minutes % 60 > 0 || hours === 0 ? `${minutes % 60}M` : ''}`;
+};
+
+// "saturatedFatContent" -> "Saturated Fat"
+const nutrientLabel = (key) => key.replace(/Content$/, '').replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
+
+// A recipe as a schema.org Recipe. Undefined properties are dropped when serialized.
+const recipeJsonLd = (recipe) => ({
+  '@context': 'https://schema.org',
+  '@type': 'Recipe',
+  name: recipe.title,
+  description: recipe.description || undefined,
+  recipeCuisine: recipe.cuisine || undefined,
+  prepTime: isoDuration(recipe.prep_time),
+  cookTime: isoDuration(recipe.cook_time),
+  totalTime: isoDuration(recipe.total_time),
+  recipeYield: recipe.serves || undefined,
+  recipeIngredient: recipe.ingredients.map(ingredient => ingredient.text),
+  recipeInstructions: recipe.instructions.map(text => ({ '@type': 'HowToStep', text })),
+  nutrition: recipe.nutrients && Object.keys(recipe.nutrients).length > 0
+    ? { '@type': 'NutritionInformation', ...recipe.nutrients }
+    : undefined,
+  aggregateRating: recipe.rating !== null && recipe.review_count > 0
+    ? { '@type': 'AggregateRating', ratingValue: recipe.rating, reviewCount: recipe.review_count, bestRating: 5 }
+    : undefined
+});
+
+// Cuisine, times, yield and rating for the top of a recipe card
+const recipeCardMeta = (recipe) => [
+  recipe.cuisine,
+  recipe.prep_time !== null ? `Prep ${recipe.prep_time} min` : null,
+  recipe.cook_time !== null ? `Cook ${recipe.cook_time} min` : null,
+  recipe.total_time !== null ? `Total ${recipe.total_time} min` : null,
+  recipe.serves ? `Serves ${recipe.serves}` : null,
+  recipe.rating !== null ? `Rated ${Number(recipe.rating).toFixed(1)} / 5` : null
+].filter(Boolean);
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, char => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+// Self-contained recipe card that prints on one or two pages. The JSON-LD is embedded
+// so saved copies stay machine-readable.
+const recipeCardHtml = (recipe) => {
+  const nutrients = Object.entries(recipe.nutrients || {});
+  const jsonLd = JSON.stringify(recipeJsonLd(recipe)).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(recipe.title)}</title>
+<style>
+  body { font-family: Georgia, serif; color: #222; max-width: 720px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { margin-bottom: 0.25rem; }
+  h2 { font-size: 1.1rem; border-bottom: 1px solid #ccc; padding-bottom: 0.25rem; margin-top: 1.5rem; }
+  .meta { color: #666; font-size: 0.9rem; }
+  li { margin-bottom: 0.35rem; }
+  table { border-collapse: collapse; font-size: 0.9rem; }
+  td { padding: 0.15rem 1.5rem 0.15rem 0; }
+  @media print { body { margin: 0; max-width: none; } h2 { break-after: avoid; } li { break-inside: avoid; } }
+</style>
+<script type="application/ld+json">${jsonLd}</script>
+</head>
+<body>
+<article>
+<h1>${escapeHtml(recipe.title)}</h1>
+<p class="meta">${recipeCardMeta(recipe).map(escapeHtml).join(' &middot; ')}</p>
+${recipe.description ? `<p>${escapeHtml(recipe.description)}</p>` : ''}
+<h2>Ingredients</h2>
+<ul>
+${recipe.ingredients.map(ingredient => `<li>${escapeHtml(ingredient.text)}</li>`).join('\n')}
+</ul>
+<h2>Instructions</h2>
+<ol>
+${recipe.instructions.map(step => `<li>${escapeHtml(step)}</li>`).join('\n')}
+</ol>
+${nutrients.length > 0 ? `<h2>Nutrition per serving</h2>
+<table>
+${nutrients.map(([key, value]) => `<tr><td>${escapeHtml(nutrientLabel(key))}</td><td>${escapeHtml(value)}</td></tr>`).join('\n')}
+</table>` : ''}
+</article>
+</body>
+</html>
+`;
+};
+
+// The recipe card as an A4 PDF written to `stream`
+const writeRecipePdf = (recipe, stream) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: recipe.title } });
+  doc.pipe(stream);
+  const heading = (text) => doc.moveDown(1).font('Helvetica-Bold').fontSize(13).fillColor('#222').text(text).moveDown(0.3);
+  
+  doc.font('Helvetica-Bold').fontSize(20).text(recipe.title);
+  doc.moveDown(0.3).font('Helvetica').fontSize(10).fillColor('#666').text(recipeCardMeta(recipe).join('  ·  '));
+  if (recipe.description) {
+    doc.moveDown(0.8).fontSize(11).fillColor('#222').text(recipe.description);
+  }
+  
+  heading('Ingredients');
+  doc.font('Helvetica').fontSize(11).list(recipe.ingredients.map(ingredient => ingredient.text), { bulletRadius: 2 });
+  
+  heading('Instructions');
+  recipe.instructions.forEach((step, index) => {
+    doc.font('Helvetica').fontSize(11).text(`${index + 1}. ${step}`, { paragraphGap: 4 });
+  });
+  
+  const nutrients = Object.entries(recipe.nutrients || {});
+  if (nutrients.length > 0) {
+    heading('Nutrition per serving');
+    for (const [key, value] of nutrients) {
+      doc.font('Helvetica').fontSize(10).text(`${nutrientLabel(key)}: ${value}`);
+    }
+  }
+  doc.end();
+};
+
+// File name for a single-recipe export, e.g. "classic-lasagna.pdf"
+const recipeFilename = (recipe, extension) => {
+  const slug = recipe.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 80);
+  return `${slug || `recipe-${recipe.id}`}.${extension}`;
+};
+
+// Request validation
+
+const JSON_TYPE_NAMES = {
+  integer: 'an integer',
+  number: 'a number',
+  string: 'a string',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object'
+};
+
+const jsonType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+};
+
+const resolveSchema = (schema) => (schema.$ref
+  ? resolveSchema(OPENAPI_DOCUMENT.components.schemas[schema.$ref.split('/').pop()])
+  : schema);
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (err) {
+    return false;
+  }
+};
+
+const rangeMessage = ({ minimum, maximum, exclusiveMinimum }) => {
+  if (exclusiveMinimum !== undefined) {
+    return `greater than ${exclusiveMinimum}${maximum === undefined ? '' : ` and at most ${maximum}`}`;
+  }
+  if (minimum !== undefined && maximum !== undefined) return `from ${minimum} to ${maximum}`;
+  return minimum !== undefined ? `at least ${minimum}` : `at most ${maximum}`;
+};
+
+// Check `value` against a JSON Schema, adding a { field, message } error for each problem.
+// Only the keywords the OpenAPI document uses are supported. Nested fields are named like
+// "targets.calories" and "ingredients[2].name"; the body itself has a null field.
+const validateSchema = (schema, value, field, errors) => {
+  const { type, enum: allowed, minimum, maximum, exclusiveMinimum, minLength, maxLength, format, pattern,
+    items, minItems, maxItems, uniqueItems, properties = {}, required = [], additionalProperties,
+    minProperties } = resolveSchema(schema);
+  const name = field || 'Request body';
+  const actual = jsonType(value);
+  const types = [].concat(type || []);
+  
+  if (types.length > 0 && !types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+    const expected = types.filter(expectedType => expectedType !== 'null').map(expectedType => JSON_TYPE_NAMES[expectedType]);
+    errors.push({ field, message: `${name} must be ${expected.join(' or ')}` });
+    return;
+  }
+  if (value === null) return;
+  if (allowed && !allowed.includes(value)) {
+    errors.push({ field, message: `${name} must be one of: ${allowed.join(', ')}` });
+    return;
+  }
+  
+  if (actual === 'integer' || actual === 'number') {
+    if ((minimum !== undefined && value < minimum) || (maximum !== undefined && value > maximum) ||
+        (exclusiveMinimum !== undefined && value <= exclusiveMinimum)) {
+      errors.push({ field, message: `${name} must be ${rangeMessage({ minimum, maximum, exclusiveMinimum })}` });
+    }
+  } else if (actual === 'string') {
+    if (minLength !== undefined && value.length < minLength) {
+      errors.push({ field, message: minLength === 1 ? `${name} must not be empty` : `${name} must be at least ${minLength} characters` });
+    } else if (maxLength !== undefined && value.length > maxLength) {
+      errors.push({ field, message: `${name} must be at most ${maxLength} characters` });
+    } else if (format === 'date' && !isIsoDate(value)) {
+      errors.push({ field, message: `${name} must be a date in YYYY-MM-DD format` });
+    } else if (format === 'uri' && !isHttpUrl(value)) {
+      errors.push({ field, message: `${name} must be an http or https URL` });
+    } else if (pattern && !new RegExp(pattern).test(value)) {
+      // A pattern on a number that may be sent as text is only met by numeric text
+      const numeric = types.find(expectedType => expectedType === 'integer' || expectedType === 'number');
+      errors.push({ field, message: numeric ? `${name} must be ${JSON_TYPE_NAMES[numeric]}` : `${name} must match ${pattern}` });
+    }
+  } else if (actual === 'array') {
+    if (minItems !== undefined && value.length < minItems) {
+      errors.push({ field, message: `${name} must have at least ${minItems} item${minItems === 1 ? '' : 's'}` });
+    } else if (maxItems !== undefined && value.length > maxItems) {
+      errors.push({ field, message: `${name} must have at most ${maxItems} items` });
+    } else if (uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      errors.push({ field, message: `${name} must not contain duplicates` });
+    }
+    if (items) {
+      value.forEach((item, index) => validateSchema(items, item, `${name}[${index}]`, errors));
+    }
+  } else if (actual === 'object') {
+    const fieldName = (key) => (field ? `${field}.${key}` : key);
+    for (const key of required) {
+      if (value[key] === undefined) {
+        errors.push({ field: fieldName(key), message: `${fieldName(key)} is required` });
+      }
+    }
+    if (minProperties !== undefined && Object.keys(value).length < minProperties) {
+      errors.push({ field, message: `${name} must have at least ${minProperties} propert${minProperties === 1 ? 'y' : 'ies'}` });
+    }
+    for (const [key, entry] of Object.entries(value)) {
+      if (entry === undefined) continue;
+      if (properties[key]) {
+        validateSchema(properties[key], entry, fieldName(key), errors);
+      } else if (additionalProperties === false) {
+        errors.push({ field: fieldName(key), message: `${fieldName(key)} is not a recognized field` });
+      } else if (additionalProperties) {
+        validateSchema(additionalProperties, entry, fieldName(key), errors);
+      }
+    }
+  }
+};
+
+// Path and query parameters arrive as text; convert them to the type their schema declares.
+// Text that does not convert is left as it is for validateSchema to reject.
+const coerceParameter = (schema, value) => {
+  const types = [].concat(resolveSchema(schema).type || []);
+  if (typeof value !== 'string') return value;
+  if (types.includes('integer') && /^-?\d+$/.test(value)) return Number(value);
+  if (types.includes('number') && value.trim() !== '' && isFinite(value)) return Number(value);
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) return value === 'true';
+  return value;
+};
+
+// Check the path parameters, query parameters and body of a request against the operation
+// documented for its route, responding with 400 and every problem found. Query parameters
+// the operation does not list are left to the route, and empty ones count as absent.
+const validateRequest = (req, res, next) => {
+  const method = req.method === 'HEAD' ? 'get' : req.method.toLowerCase();
+  const operation = OPENAPI_OPERATIONS.get(`${method} ${req.route.path}`);
+  if (!operation) {
+    return next(new Error(`No OpenAPI operation documents ${req.method} ${req.route.path}`));
+  }
+  
+  const errors = [];
+  for (const { name, in: location, required, schema } of operation.parameters || []) {
+    const raw = location === 'path' ? req.params[name] : req.query[name];
+    if (raw === undefined || raw === '') {
+      if (required) errors.push({ field: name, message: `${name} is required` });
+      continue;
+    }
+    for (const value of [].concat(raw)) {
+      validateSchema(schema, coerceParameter(schema, value), name, errors);
+    }
+  }
+  
+  if (operation.requestBody) {
+    const mediaTypes = Object.keys(operation.requestBody.content);
+    const mediaType = req.is(mediaTypes) || mediaTypes[0];
+    validateSchema(operation.requestBody.content[mediaType].schema, req.body === undefined ? {} : req.body, null, errors);
+  }
+  
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  next();
+};
+
+// Response cache
+
+// Seconds a cached listing is kept, and the most listings the in-process cache holds
+const CACHE_TTL_SECONDS = parseInt(process.env.CACHE_TTL) || 300;
+const CACHE_MAX_ENTRIES = parseInt(process.env.CACHE_MAX_ENTRIES) || 500;
+// max-age sent to clients; 0 makes them revalidate every time, which a matching ETag answers with a 304
+const HTTP_CACHE_MAX_AGE = parseInt(process.env.HTTP_CACHE_MAX_AGE) || 0;
+
+// Every backend stores entries under keys prefixed with a generation number. Invalidating
+// moves to the next generation, so a listing computed while a recipe was being written is
+// stored under the old generation and never served.
+
+// In-process LRU. A Map iterates in insertion order, so re-inserting an entry on read keeps
+// the least recently used one first.
+const createMemoryCache = ({ maxEntries, ttlSeconds }) => {
+  const entries = new Map();
+  let generation = 0;
+  
+  return {
+    backend: 'memory',
+    size: () => entries.size,
+    generation: async () => generation,
+    get: async (key) => {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return null;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    set: async (key, value) => {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    invalidate: async () => {
+      generation++;
+      entries.clear();
+    }
+  };
+};
+
+// Cache in a Redis-compatible server, shared by every server instance. `client` only needs
+// node-redis's get, set (with { EX }) and incr, so any stand-in offering those can replace it.
+// Old generations are left to expire.
+const createRedisCache = (client, { ttlSeconds, prefix = 'recipes:cache:' }) => ({
+  backend: 'redis',
+  size: () => null,
+  generation: async () => parseInt(await client.get(`${prefix}generation`)) || 0,
+  get: async (key) => {
+    const value = await client.get(prefix + key);
+    return value === null ? null : JSON.parse(value);
+  },
+  set: async (key, value) => {
+    await client.set(prefix + key, JSON.stringify(value), { EX: ttlSeconds });
+  },
+  invalidate: async () => {
+    await client.incr(`${prefix}generation`);
+  }
+});
+
+// Redis when CACHE_REDIS_URL is set, the in-process LRU otherwise. Commands fail instead of
+// queueing while Redis is unreachable, so requests fall through to the database.
+const createResponseCache = () => {
+  const options = { maxEntries: CACHE_MAX_ENTRIES, ttlSeconds: CACHE_TTL_SECONDS };
+  if (!process.env.CACHE_REDIS_URL) {
+    return createMemoryCache(options);
+  }
+  
+  const { createClient } = require('redis');
+  const client = createClient({ url: process.env.CACHE_REDIS_URL, disableOfflineQueue: true });
+  client.on('error', err => logger.error('Redis cache error', { error: err.message }));
+  client.connect().catch(err => logger.error('Error connecting to Redis cache', { error: err.message }));
+  return createRedisCache(client, options);
+};
+
+const responseCache = createResponseCache();
+const cacheStats = { hits: 0, misses: 0, errors: 0, invalidations: 0 };
+
+// Cache key for a request: the path and its query parameters sorted by name and value,
+// leaving out empty ones, so equivalent URLs share an entry
+const cacheKey = (req) => {
+  const pairs = [];
+  for (const name of Object.keys(req.query).sort()) {
+    const values = [].concat(req.query[name]).map(String).filter(value => value !== '').sort();
+    values.forEach(value => pairs.push([name, value]));
+  }
+  return `${req.path}?${new URLSearchParams(pairs)}`;
+};
+
+const sendCached = (res, entry) => {
+  res.set({ 'Cache-Control': `public, max-age=${HTTP_CACHE_MAX_AGE}`, ETag: entry.etag });
+  // res.send answers with 304 Not Modified when the request's If-None-Match holds the ETag
+  res.type('json').send(entry.body);
+};
+
+// Serve a GET listing from the cache, or run the route and cache its 200 response.
+// A cache that cannot be reached is counted as an error and skipped.
+const cacheResponse = async (req, res, next) => {
+  let key;
+  try {
+    key = `${await responseCache.generation()}:${cacheKey(req)}`;
+    const cached = await responseCache.get(key);
+    if (cached) {
+      cacheStats.hits++;
+      res.set('X-Cache', 'HIT');
+      return sendCached(res, cached);
+    }
+  } catch (err) {
+    cacheStats.errors++;
+    logger.error('Error reading response cache', { error: err.message });
+    return next();
+  }
+  
+  cacheStats.misses++;
+  res.set('X-Cache', 'MISS');
+  const json = res.json.bind(res);
+  res.json = (data) => {
+    if (res.statusCode !== 200) return json(data);
+    const body = JSON.stringify(data);
+    const entry = { body, etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"` };
+    responseCache.set(key, entry).catch(err => {
+      cacheStats.errors++;
+      logger.error('Error writing response cache', { error: err.message });
+    });
+    sendCached(res, entry);
+    return res;
+  };
+  next();
+};
+
+// Drop every cached listing. Any recipe change can move recipes in or out of a filter,
+// a facet count or a sort position, so no listing is kept.
+const invalidateRecipeCache = async () => {
+  cacheStats.invalidations++;
+  try {
+    await responseCache.invalidate();
+  } catch (err) {
+    cacheStats.errors++;
+    logger.error('Error invalidating response cache', { error: err.message });
+  }
+};
+
+// API Endpoints
+
+app.use(authenticate);
+app.use(enforceRateLimits);
+
+// Register a viewer account (admin for addresses listed in ADMIN_EMAILS)
+app.post('/api/auth/register', validateRequest, async (req, res) => {
+  const errors = validateCredentials(req.body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  const email = req.body.email.trim().toLowerCase();
+  const role = ADMIN_EMAILS.includes(email) ? 'admin' : 'viewer';
+  
+  try {
+    const passwordHash = await bcrypt.hash(req.body.password, BCRYPT_ROUNDS);
+    const session = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO users (email, password_hash, role) VALUES ($1, $2, $3)
+        ON CONFLICT (email) DO NOTHING
+        RETURNING *
+      `, [email, passwordHash, role]);
+      if (result.rows.length === 0) return null;
+      const user = result.rows[0];
+      return { user: publicUser(user), ...await issueTokens(client, user) };
+    });
+    if (!session) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+    res.status(201).json(session);
+  } catch (err) {
+    logger.error('Error registering user', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Exchange an email and password for tokens
+app.post('/api/auth/login', validateRequest, async (req, res) => {
+  const { email, password } = req.body || {};
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    return sendValidationError(res, [{ field: null, message: 'email and password are required' }]);
+  }
+  
+  try {
+    const result = await pool.query('SELECT * FROM users WHERE email = $1', [email.trim().toLowerCase()]);
+    const user = result.rows[0];
+    const valid = await bcrypt.compare(password, user ? user.password_hash : DUMMY_PASSWORD_HASH);
+    if (!user || !valid) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    res.json({ user: publicUser(user), ...await issueTokens(pool, user) });
+  } catch (err) {
+    logger.error('Error logging in', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rotate a refresh token: the presented token is revoked and a new pair is issued
+app.post('/api/auth/refresh', validateRequest, async (req, res) => {
+  const payload = verifyToken(req.body && req.body.refresh_token, 'refresh');
+  if (!payload) {
+    return res.status(401).json({ error: 'Invalid or expired refresh token' });
+  }
+  
+  try {
+    const session = await withTransaction(async (client) => {
+      const revoked = await client.query(`
+        UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+        WHERE jti = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        RETURNING user_id
+      `, [payload.jti]);
+      if (revoked.rows.length === 0) return null;
+      const result = await client.query('SELECT * FROM users WHERE id = $1', [revoked.rows[0].user_id]);
+      const user = result.rows[0];
+      return { user: publicUser(user), ...await issueTokens(client, user) };
+    });
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    res.json(session);
+  } catch (err) {
+    logger.error('Error refreshing token', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a refresh token
+app.post('/api/auth/logout', validateRequest, async (req, res) => {
+  const payload = verifyToken(req.body && req.body.refresh_token, 'refresh');
+  try {
+    if (payload) {
+      await pool.query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE jti = $1 AND revoked_at IS NULL', [payload.jti]);
+    }
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error logging out', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Current user
+app.get('/api/auth/me', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM users WHERE id = $1', [req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(401).json({ error: 'Account no longer exists' });
+    }
+    res.json(publicUser(result.rows[0]));
+  } catch (err) {
+    logger.error('Error fetching user', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List users
+app.get('/api/users', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM users ORDER BY id');
+    res.json({ data: result.rows.map(publicUser) });
+  } catch (err) {
+    logger.error('Error listing users', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a user's role. Takes effect when their current access token expires.
+app.patch('/api/users/:id/role', requireRole('admin'), validateRequest, async (req, res) => {
+  const id = /^\d+$/.test(req.params.id) ? parseInt(req.params.id) : 0;
+  const role = req.body && req.body.role;
+  if (!id || !ROLES.includes(role)) {
+    return sendValidationError(res, [{ field: 'role', message: `role must be one of ${ROLES.join(', ')}` }]);
+  }
+  
+  try {
+    const result = await pool.query('UPDATE users SET role = $2 WHERE id = $1 RETURNING *', [id, role]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    res.json(publicUser(result.rows[0]));
+  } catch (err) {
+    logger.error('Error updating user role', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get all recipes with pagination and sorting
+app.get('/api/recipes', validateRequest, cacheResponse, async (req, res) => {
+  try {
+    await sendRecipePage(req.query, res, { whereConditions: [], queryParams: [], errors: [], textQuery: null });
+  } catch (err) {
+    logger.error('Error fetching recipes', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Search recipes
+app.get('/api/recipes/search', validateRequest, cacheResponse, async (req, res) => {
+  try {
+    const filters = buildSearchFilters(req.query);
+    const facets = parseFacets(req.query.facets, filters.errors);
+    await sendRecipePage(req.query, res, filters, facets);
+  } catch (err) {
+    logger.error('Error searching recipes', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tags with the rule that assigns each and the number of recipes holding it
+app.get('/api/tags', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT tag, COUNT(*)::int AS count FROM recipes, UNNEST(tags) AS tag GROUP BY tag');
+    const counts = new Map(result.rows.map(row => [row.tag, row.count]));
+    res.json({ data: Object.entries(TAG_RULES).map(([tag, rule]) => ({ tag, rule, count: counts.get(tag) || 0 })) });
+  } catch (err) {
+    logger.error('Error fetching tags', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Statistics over the recipes matching the search filters (every recipe when none are given)
+const sendStats = (description, compute) => async (req, res) => {
+  const { whereConditions, queryParams, errors } = buildSearchFilters(req.query);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  try {
+    res.json(await compute(whereConditions, queryParams, req.query));
+  } catch (err) {
+    logger.error(`Error computing ${description}`, { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.get('/api/stats', validateRequest, cacheResponse, sendStats('statistics summary', computeStatsSummary));
+app.get('/api/stats/cuisines', validateRequest, cacheResponse, sendStats('cuisine statistics', computeCuisineStats));
+app.get('/api/stats/distributions', validateRequest, cacheResponse, sendStats('distributions', computeDistributions));
+app.get('/api/stats/completeness', validateRequest, cacheResponse, sendStats('completeness', computeCompleteness));
+app.get('/api/stats/top', validateRequest, cacheResponse, sendStats('top lists', computeTopLists));
+
+// Export every recipe matching the search filters: `format=csv` or `format=ndjson`
+app.get('/api/recipes/export', validateRequest, async (req, res) => {
+  try {
+    await streamRecipeExport(req, res, req.query.format || 'csv');
+  } catch (err) {
+    logger.error('Error exporting recipes', { error: err });
+    if (res.headersSent) {
+      // The status line is already out; cut the download short so it is not mistaken for complete
+      return res.destroy(err);
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parse the :id route parameter, responding with 400 when it is not a positive integer
+const parseRecipeId = (req, res) => {
+  const id = /^\d+$/.test(req.params.id) ? parseInt(req.params.id) : 0;
+  if (!id) {
+    res.status(400).json({ error: 'Invalid recipe id' });
+    return null;
+  }
+  return id;
+};
+
+const MAX_SCALED_SERVINGS = 1000;
+
+// Nutrients in the source data are per serving, so totals for N servings are N times those.
+// Ingredient quantities scale by N / servings and are left as they are when servings is unknown.
+const scaleRecipe = (recipe, servings) => {
+  const factor = recipe.servings ? servings / recipe.servings : null;
+  const nutrients = {};
+  for (const [key, { value, unit }] of Object.entries(recipe.nutrition || {})) {
+    nutrients[key] = { value: Math.round(value * servings * 10) / 10, unit };
+  }
+  const ingredients = (recipe.ingredients || []).map(ingredient => ({
+    ...ingredient,
+    quantity: factor === null || ingredient.quantity === null
+      ? ingredient.quantity
+      : Math.round(ingredient.quantity * factor * 1000) / 1000
+  }));
+  return { servings, factor, nutrients, ingredients };
+};
+
+// Get a single recipe with its ingredients and instructions.
+// `servings=N` adds nutrient totals and ingredient quantities scaled to N servings.
+app.get('/api/recipes/:id', validateRequest, async (req, res) => {
+  const id = parseRecipeId(req, res);
+  if (!id) return;
+  
+  let servings = null;
+  if (req.query.servings !== undefined) {
+    servings = Number(req.query.servings);
+    if (!isFinite(servings) || servings <= 0 || servings > MAX_SCALED_SERVINGS) {
+      return sendValidationError(res, [
+        { field: 'servings', message: `servings must be a number greater than 0 and at most ${MAX_SCALED_SERVINGS}` }
+      ]);
+    }
+  }
+  
+  try {
+    const recipe = await fetchRecipe(pool, id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    if (servings !== null) {
+      recipe.scaled = scaleRecipe(recipe, servings);
+    }
+    res.json(recipe);
+  } catch (err) {
+    logger.error('Error fetching recipe', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export one recipe as schema.org JSON-LD (`format=jsonld`), a printable HTML card (`html`) or a PDF (`pdf`).
+// `download=true` asks the browser to save the file instead of showing it.
+app.get('/api/recipes/:id/export', validateRequest, async (req, res) => {
+  const id = parseRecipeId(req, res);
+  if (!id) return;
+  
+  const format = req.query.format || 'jsonld';
+  if (!RECIPE_EXPORT_FORMATS.includes(format)) {
+    return sendValidationError(res, [
+      { field: 'format', message: `format must be one of: ${RECIPE_EXPORT_FORMATS.join(', ')}` }
+    ]);
+  }
+  
+  try {
+    const recipe = await fetchRecipe(pool, id);
+    if (!recipe) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+    res.setHeader('Content-Disposition', `${disposition}; filename="${recipeFilename(recipe, format)}"`);
+    
+    if (format === 'jsonld') {
+      res.type('application/ld+json').send(JSON.stringify(recipeJsonLd(recipe), null, 2));
+    } else if (format === 'html') {
+      res.type('html').send(recipeCardHtml(recipe));
+    } else {
+      res.type('application/pdf');
+      writeRecipePdf(recipe, res);
+    }
+  } catch (err) {
+    logger.error('Error exporting recipe', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a recipe
+app.post('/api/recipes', requireRole('editor'), validateRequest, async (req, res) => {
+  const { recipe, errors } = validateRecipe(req.body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  try {
+    const created = await withTransaction(async (client) => {
+      const result = await client.query(`
+        INSERT INTO recipes (${RECIPE_COLUMNS.map(recipeColumn).join(', ')})
+        VALUES (${RECIPE_COLUMNS.map((_, index) => `$${index + 1}`).join(', ')})
+        RETURNING id
+      `, recipeParams(recipe));
+      const id = result.rows[0].id;
+      await replaceRecipeDetails(client, [{ id, recipe }]);
+      await refreshRecipeRatings(client, [id]);
+      await refreshRecipeTags(client, [id]);
+      await recordChanges(client, [{ event: 'recipe.created', recipe_id: id, source: 'api', data: { title: recipe.title } }]);
+      return fetchRecipe(client, id);
+    });
+    await invalidateRecipeCache();
+    publishChanges();
+    res.status(201).json(created);
+  } catch (err) {
+    logger.error('Error creating recipe', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a recipe. PUT replaces every field, PATCH only the fields sent.
+const updateRecipe = (partial) => async (req, res) => {
+  const id = parseRecipeId(req, res);
+  if (!id) return;
+  
+  const { recipe, errors } = validateRecipe(req.body, { partial });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  if (Object.keys(recipe).length === 0) {
+    return sendValidationError(res, [{ field: null, message: 'No recipe fields to update' }]);
+  }
+  
+  const columns = RECIPE_COLUMNS.filter(column => column in recipe);
+  const assignments = columns.map((column, index) => `${recipeColumn(column)} = $${index + 2}`);
+  const values = columns.map(column => recipeColumnValue(recipe, column));
+  
+  try {
+    const updated = await withTransaction(async (client) => {
+      // Lock the row (and check it exists) even when only related fields change
+      const result = await client.query(
+        columns.length > 0
+          ? `UPDATE recipes SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`
+          : 'SELECT id FROM recipes WHERE id = $1 FOR UPDATE',
+        [id, ...values]
+      );
+      if (result.rows.length === 0) return null;
+      await replaceRecipeDetails(client, [{ id, recipe }]);
+      await refreshRecipeRatings(client, [id]);
+      await refreshRecipeTags(client, [id]);
+      const saved = await fetchRecipe(client, id);
+      await recordChanges(client, [{
+        event: 'recipe.updated',
+        recipe_id: id,
+        source: 'api',
+        data: { title: saved.title, fields: Object.keys(recipe) }
+      }]);
+      return saved;
+    });
+    if (!updated) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    await invalidateRecipeCache();
+    publishChanges();
+    res.json(updated);
+  } catch (err) {
+    logger.error('Error updating recipe', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+app.put('/api/recipes/:id', requireRole('editor'), validateRequest, updateRecipe(false));
+app.patch('/api/recipes/:id', requireRole('editor'), validateRequest, updateRecipe(true));
+
+// Delete a recipe
+app.delete('/api/recipes/:id', requireRole('editor'), validateRequest, async (req, res) => {
+  const id = parseRecipeId(req, res);
+  if (!id) return;
+  
+  try {
+    const deleted = await withTransaction(async (client) => {
+      const result = await client.query('DELETE FROM recipes WHERE id = $1 RETURNING id, title', [id]);
+      if (result.rows.length === 0) return false;
+      await recordChanges(client, [{ event: 'recipe.deleted', recipe_id: id, source: 'api', data: { title: result.rows[0].title } }]);
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    await invalidateRecipeCache();
+    publishChanges();
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting recipe', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Similar recipes
+
+// Share of the similarity score taken by each signal; every signal is scored 0..1
+const SIMILARITY_WEIGHTS = { text: 0.4, cuisine: 0.25, total_time: 0.1, calories: 0.1, rating: 0.15 };
+
+// Words that say nothing about how two cuisines relate, as in "Cajun and Creole Recipes"
+const CUISINE_FILLER_WORDS = new Set(['and', 'recipes', 'recipe', 'food', 'foods', 'cuisine', 'dishes', 'style']);
+
+const cuisineWords = (cuisine) => cuisine.toLowerCase().split(/[^a-z]+/).filter(word => word && !CUISINE_FILLER_WORDS.has(word));
+
+// Other cuisines sharing a word with `cuisine`, e.g. "Cajun and Creole Recipes" and "Creole Desserts"
+const findRelatedCuisines = async (cuisine) => {
+  const words = new Set(cuisineWords(cuisine));
+  const result = await pool.query('SELECT DISTINCT cuisine FROM recipes WHERE cuisine IS NOT NULL AND cuisine <> $1', [cuisine]);
+  return result.rows.map(row => row.cuisine).filter(other => cuisineWords(other).some(word => words.has(word)));
+};
+
+// Lexemes as a tsquery matching any of them; they are already normalized, so they are quoted as they are
+const anyLexemeQuery = (lexemes) => lexemes.map(lexeme => `'${lexeme.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`).join(' | ');
+
+// Columns the similarity query adds to each recipe row on the way to its score
+const SIMILARITY_WORK_COLUMNS = ['text_rank', 'calories_value', ...Object.keys(SIMILARITY_WEIGHTS).map(signal => `${signal}_score`)];
+
+const roundScore = (value) => Math.round(value * 1000) / 1000;
+
+// The signals that contributed to a result, with the raw difference behind the closeness ones
+const similaritySignals = (row, source) => {
+  const signals = {};
+  if (row.text_score > 0) {
+    signals.text = { score: roundScore(row.text_score) };
+  }
+  if (row.cuisine_score > 0) {
+    signals.cuisine = { score: row.cuisine_score, match: row.cuisine === source.cuisine ? 'same' : 'related' };
+  }
+  if (row.total_time_score > 0) {
+    signals.total_time = { score: roundScore(row.total_time_score), difference: Math.abs(row.total_time - source.total_time) };
+  }
+  if (row.calories_score > 0) {
+    signals.calories = { score: roundScore(row.calories_score), difference: roundAmount(Math.abs(row.calories_value - source.calories)) };
+  }
+  if (row.rating_score > 0) {
+    signals.rating = { score: roundScore(row.rating_score) };
+  }
+  return signals;
+};
+
+// Recipes like the given one, ranked by a weighted mix of shared words in title, cuisine and
+// description, the same or a related cuisine, closeness in total time and calories, and rating.
+// Candidates share a word or a cuisine with the recipe. Numeric filters narrow them as in search
+// (`calories=<=500`); `exclude_cuisine` takes a comma-separated list of cuisines to leave out.
+app.get('/api/recipes/:id/similar', validateRequest, cacheResponse, async (req, res) => {
+  const id = parseRecipeId(req, res);
+  if (!id) return;
+  const limit = Math.min(parseInt(req.query.limit) || 6, 20);
+  
+  const params = [id];
+  const conditions = ['id <> $1'];
+  const numeric = buildNumericFilters(req.query, params);
+  if (numeric.errors.length > 0) {
+    return sendValidationError(res, numeric.errors);
+  }
+  conditions.push(...numeric.conditions);
+  if (req.query.exclude_cuisine) {
+    const excluded = [].concat(req.query.exclude_cuisine).join(',').split(',').map(cuisine => cuisine.trim().toLowerCase()).filter(Boolean);
+    params.push(excluded);
+    conditions.push(`(cuisine IS NULL OR LOWER(cuisine) <> ALL($${params.length}::text[]))`);
+  }
+  
+  try {
+    const sourceResult = await pool.query(`
+      SELECT id, title, cuisine, total_time, rating, ${nutrientValueSql('calories')} AS calories,
+        tsvector_to_array(to_tsvector('english', concat_ws(' ', title, description))) AS lexemes
+      FROM recipes WHERE id = $1
+    `, [id]);
+    if (sourceResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    const { lexemes, ...source } = sourceResult.rows[0];
+    const relatedCuisines = source.cuisine ? await findRelatedCuisines(source.cuisine) : [];
+  
+    const candidateMatches = [];
+    let textRankSql = '0';
+    if (lexemes.length > 0) {
+      params.push(anyLexemeQuery(lexemes));
+      textRankSql = `ts_rank(${SEARCH_VECTOR_SQL}, $${params.length}::tsquery)`;
+      candidateMatches.push(`(${SEARCH_VECTOR_SQL}) @@ $${params.length}::tsquery`);
+    }
+    let cuisineScoreSql = '0';
+    if (source.cuisine) {
+      params.push(source.cuisine, relatedCuisines);
+      cuisineScoreSql = `CASE WHEN cuisine = $${params.length - 1} THEN 1 WHEN cuisine = ANY($${params.length}::text[]) THEN 0.5 ELSE 0 END::float`;
+      candidateMatches.push(`cuisine = $${params.length - 1}`, `cuisine = ANY($${params.length}::text[])`);
+    }
+    if (candidateMatches.length === 0) {
+      return res.json({ recipe: source, data: [] });
+    }
+    conditions.push(`(${candidateMatches.join(' OR ')})`);
+  
+    // Closeness is 1 for equal values, falling to 0 as one becomes a multiple of the other
+    params.push(source.total_time, source.calories);
+    const timeParam = `$${params.length - 1}::float`;
+    const caloriesParam = `$${params.length}::float`;
+    params.push(limit);
+  
+    // Raw text ranks are small: one shared title word ranks about 0.1, which maps to 0.5
+    const result = await pool.query(`
+      SELECT *, ${Object.entries(SIMILARITY_WEIGHTS).map(([signal, weight]) => `${weight} * ${signal}_score`).join(' + ')} AS similarity
+      FROM (
+        SELECT *,
+          text_rank / (text_rank + 0.1) AS text_score,
+          ${cuisineScoreSql} AS cuisine_score,
+          COALESCE(1 - ABS(total_time - ${timeParam}) / GREATEST(total_time, ${timeParam}, 1), 0) AS total_time_score,
+          COALESCE(1 - ABS(calories_value - ${caloriesParam}) / GREATEST(calories_value, ${caloriesParam}, 1), 0) AS calories_score,
+          COALESCE(rating / 5, 0) AS rating_score
+        FROM (
+          SELECT *, ${textRankSql} AS text_rank, ${nutrientValueSql('calories')} AS calories_value
+          FROM recipes
+          WHERE ${conditions.join(' AND ')}
+        ) candidates
+      ) scored
+      ORDER BY similarity DESC, id ASC
+      LIMIT $${params.length}
+    `, params);
+  
+    const data = result.rows.map(row => {
+      const signals = similaritySignals(row, source);
+      SIMILARITY_WORK_COLUMNS.forEach(column => delete row[column]);
+      return { ...row, similarity: roundScore(row.similarity), signals };
+    });
+    res.json({ recipe: source, data });
+  } catch (err) {
+    logger.error('Error finding similar recipes', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reviews
+
+const REVIEW_TEXT_MAX_LENGTH = 5000;
+
+const validateReview = (body) => {
+  const errors = [];
+  const { score, text } = body || {};
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    errors.push({ field: 'score', message: 'score must be a whole number from 1 to 5' });
+  }
+  if (text !== undefined && text !== null && (typeof text !== 'string' || text.length > REVIEW_TEXT_MAX_LENGTH)) {
+    errors.push({ field: 'text', message: `text must be a string of at most ${REVIEW_TEXT_MAX_LENGTH} characters` });
+  }
+  return errors;
+};
+
+// Writing or deleting a review changes the recipe's rating and review count
+const reviewChange = (recipeId) => ({ event: 'recipe.updated', recipe_id: recipeId, source: 'review', data: { fields: ['rating', 'review_count'] } });
+
+// Reviews are shown with the local part of the author's email rather than the full address
+const REVIEW_SELECT_SQL = `
+  SELECT rv.id, rv.recipe_id, rv.user_id, split_part(u.email, '@', 1) AS author,
+    rv.score, rv.text, rv.created_at, rv.updated_at
+  FROM recipe_reviews rv
+  JOIN users u ON u.id = rv.user_id
+`;
+
+// List a recipe's reviews, most recently written or edited first
+app.get('/api/recipes/:id/reviews', validateRequest, async (req, res) => {
+  const id = parseRecipeId(req, res);
+  if (!id) return;
+  
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+  const offset = (page - 1) * limit;
+  
+  try {
+    const recipe = await pool.query('SELECT id, rating, review_count FROM recipes WHERE id = $1', [id]);
+    if (recipe.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    const result = await pool.query(`
+      ${REVIEW_SELECT_SQL}
+      WHERE rv.recipe_id = $1
+      ORDER BY rv.updated_at DESC, rv.id DESC
+      LIMIT $2 OFFSET $3
+    `, [id, limit, offset]);
+    
+    const { rating, review_count } = recipe.rows[0];
+    res.json({
+      page,
+      limit,
+      total: review_count,
+      rating,
+      data: result.rows
+    });
+  } catch (err) {
+    logger.error('Error fetching reviews', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a review, or replace the signed-in user's existing review of the recipe
+app.post('/api/recipes/:id/reviews', requireRole('viewer'), validateRequest, async (req, res) => {
+  const id = parseRecipeId(req, res);
+  if (!id) return;
+  
+  const errors = validateReview(req.body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  const text = req.body.text ? req.body.text.trim() : null;
+  
+  try {
+    const saved = await withTransaction(async (client) => {
+      // Locking the recipe serializes concurrent reviews so the aggregate stays consistent
+      const recipe = await client.query('SELECT id FROM recipes WHERE id = $1 FOR UPDATE', [id]);
+      if (recipe.rows.length === 0) return null;
+      
+      const result = await client.query(`
+        INSERT INTO recipe_reviews (recipe_id, user_id, score, text) VALUES ($1, $2, $3, $4)
+        ON CONFLICT (recipe_id, user_id) DO UPDATE
+          SET score = EXCLUDED.score, text = EXCLUDED.text, updated_at = CURRENT_TIMESTAMP
+        RETURNING id, (xmax = 0) AS created
+      `, [id, req.user.id, req.body.score, text]);
+      await refreshRecipeRatings(client, [id]);
+      await refreshRecipeTags(client, [id]);
+      await recordChanges(client, [reviewChange(id)]);
+      
+      const review = await client.query(`${REVIEW_SELECT_SQL} WHERE rv.id = $1`, [result.rows[0].id]);
+      const aggregate = await client.query('SELECT rating, review_count FROM recipes WHERE id = $1', [id]);
+      return { created: result.rows[0].created, review: review.rows[0], recipe: { id, ...aggregate.rows[0] } };
+    });
+    if (!saved) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    await invalidateRecipeCache();
+    publishChanges();
+    res.status(saved.created ? 201 : 200).json({ review: saved.review, recipe: saved.recipe });
+  } catch (err) {
+    logger.error('Error saving review', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a review. Authors can delete their own; admins can delete any.
+app.delete('/api/recipes/:id/reviews/:reviewId', requireRole('viewer'), validateRequest, async (req, res) => {
+  const id = parseRecipeId(req, res);
+  if (!id) return;
+  const reviewId = /^\d+$/.test(req.params.reviewId) ? parseInt(req.params.reviewId) : 0;
+  if (!reviewId) {
+    return res.status(400).json({ error: 'Invalid review id' });
+  }
+  
+  try {
+    const outcome = await withTransaction(async (client) => {
+      await client.query('SELECT id FROM recipes WHERE id = $1 FOR UPDATE', [id]);
+      const review = await client.query('SELECT user_id FROM recipe_reviews WHERE id = $1 AND recipe_id = $2', [reviewId, id]);
+      if (review.rows.length === 0) return 'not_found';
+      if (review.rows[0].user_id !== req.user.id && req.user.role !== 'admin') return 'forbidden';
+      
+      await client.query('DELETE FROM recipe_reviews WHERE id = $1', [reviewId]);
+      await refreshRecipeRatings(client, [id]);
+      await refreshRecipeTags(client, [id]);
+      await recordChanges(client, [reviewChange(id)]);
+      return 'deleted';
+    });
+    if (outcome === 'not_found') {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    if (outcome === 'forbidden') {
+      return res.status(403).json({ error: 'Only the author or an admin can delete this review' });
+    }
+    await invalidateRecipeCache();
+    publishChanges();
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting review', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Favorites and collections
+
+// Parse an id route parameter; 0 when it is not a positive integer
+const parseIdParam = (value) => (/^\d+$/.test(value) ? parseInt(value) : 0);
+
+const COLLECTION_NAME_MAX_LENGTH = 100;
+
+const validateCollection = (body, { partial = false } = {}) => {
+  const errors = [];
+  const { name, description } = body || {};
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > COLLECTION_NAME_MAX_LENGTH) {
+      errors.push({ field: 'name', message: `name must be a non-empty string of at most ${COLLECTION_NAME_MAX_LENGTH} characters` });
+    }
+  }
+  if (description !== undefined && description !== null && typeof description !== 'string') {
+    errors.push({ field: 'description', message: 'description must be a string' });
+  }
+  return errors;
+};
+
+// Validate a reorder body: `ids` must list every current id exactly once
+const validateOrder = (ids, currentIds, field) => {
+  if (!Array.isArray(ids) || ids.length !== currentIds.length || new Set(ids).size !== ids.length ||
+      !ids.every(id => currentIds.includes(id))) {
+    return [{ field, message: `${field} must list each of the ${currentIds.length} current ids exactly once` }];
+  }
+  return [];
+};
+
+const COLLECTION_SELECT_SQL = `
+  SELECT c.id, c.name, c.description, c.position, c.share_token, c.created_at, c.updated_at,
+    (SELECT COUNT(*)::int FROM collection_recipes cr WHERE cr.collection_id = c.id) AS recipe_count
+  FROM collections c
+`;
+
+// Recipes of a collection in their saved order
+const fetchCollectionRecipes = async (client, collectionId) => {
+  const result = await client.query(`
+    SELECT r.*, cr.position, cr.added_at
+    FROM collection_recipes cr
+    JOIN recipes r ON r.id = cr.recipe_id
+    WHERE cr.collection_id = $1
+    ORDER BY cr.position, cr.added_at
+  `, [collectionId]);
+  return result.rows;
+};
+
+// Load a collection owned by the signed-in user, or respond with 404
+const findOwnedCollection = async (req, res, client = pool) => {
+  const id = parseIdParam(req.params.id);
+  const result = id
+    ? await client.query(`${COLLECTION_SELECT_SQL} WHERE c.id = $1 AND c.user_id = $2`, [id, req.user.id])
+    : { rows: [] };
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Collection not found' });
+    return null;
+  }
+  return result.rows[0];
+};
+
+// Ids of every recipe the signed-in user has favorited, for marking rows in lists
+app.get('/api/favorites/ids', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT recipe_id FROM favorites WHERE user_id = $1 ORDER BY created_at DESC', [req.user.id]);
+    res.json({ data: result.rows.map(row => row.recipe_id) });
+  } catch (err) {
+    logger.error('Error fetching favorites', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Favorited recipes, with the same sorting and pagination as /api/recipes
+app.get('/api/favorites', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    await sendRecipePage(req.query, res, {
+      whereConditions: ['id IN (SELECT recipe_id FROM favorites WHERE user_id = $1)'],
+      queryParams: [req.user.id],
+      errors: [],
+      textQuery: null
+    });
+  } catch (err) {
+    logger.error('Error fetching favorites', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.put('/api/favorites/:recipeId', requireRole('viewer'), validateRequest, async (req, res) => {
+  const recipeId = parseIdParam(req.params.recipeId);
+  if (!recipeId) {
+    return res.status(400).json({ error: 'Invalid recipe id' });
+  }
+  
+  try {
+    const result = await pool.query(`
+      INSERT INTO favorites (user_id, recipe_id)
+      SELECT $1, id FROM recipes WHERE id = $2
+      ON CONFLICT DO NOTHING
+      RETURNING recipe_id
+    `, [req.user.id, recipeId]);
+    if (result.rows.length === 0) {
+      const exists = await pool.query('SELECT 1 FROM recipes WHERE id = $1', [recipeId]);
+      if (exists.rows.length === 0) {
+        return res.status(404).json({ error: 'Recipe not found' });
+      }
+    }
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error adding favorite', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/favorites/:recipeId', requireRole('viewer'), validateRequest, async (req, res) => {
+  const recipeId = parseIdParam(req.params.recipeId);
+  if (!recipeId) {
+    return res.status(400).json({ error: 'Invalid recipe id' });
+  }
+  
+  try {
+    await pool.query('DELETE FROM favorites WHERE user_id = $1 AND recipe_id = $2', [req.user.id, recipeId]);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error removing favorite', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// The signed-in user's collections in their saved order
+app.get('/api/collections', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(`${COLLECTION_SELECT_SQL} WHERE c.user_id = $1 ORDER BY c.position, c.id`, [req.user.id]);
+    res.json({ data: result.rows });
+  } catch (err) {
+    logger.error('Error fetching collections', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a collection at the end of the user's list
+app.post('/api/collections', requireRole('viewer'), validateRequest, async (req, res) => {
+  const errors = validateCollection(req.body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  try {
+    const result = await pool.query(`
+      INSERT INTO collections (user_id, name, description, position)
+      SELECT $1, $2, $3, COALESCE(MAX(position), 0) + 1 FROM collections WHERE user_id = $1
+      RETURNING id
+    `, [req.user.id, req.body.name.trim(), req.body.description || null]);
+    const created = await pool.query(`${COLLECTION_SELECT_SQL} WHERE c.id = $1`, [result.rows[0].id]);
+    res.status(201).json(created.rows[0]);
+  } catch (err) {
+    logger.error('Error creating collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reorder the user's collections; `ids` lists every collection id in the new order
+app.put('/api/collections/order', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const current = await pool.query('SELECT id FROM collections WHERE user_id = $1', [req.user.id]);
+    const errors = validateOrder(req.body && req.body.ids, current.rows.map(row => row.id), 'ids');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    await pool.query(`
+      UPDATE collections c SET position = o.position
+      FROM UNNEST($2::int[]) WITH ORDINALITY AS o(id, position)
+      WHERE c.id = o.id AND c.user_id = $1
+    `, [req.user.id, req.body.ids]);
+    const result = await pool.query(`${COLLECTION_SELECT_SQL} WHERE c.user_id = $1 ORDER BY c.position, c.id`, [req.user.id]);
+    res.json({ data: result.rows });
+  } catch (err) {
+    logger.error('Error reordering collections', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A collection with its recipes
+app.get('/api/collections/:id', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+    res.json({ ...collection, recipes: await fetchCollectionRecipes(pool, collection.id) });
+  } catch (err) {
+    logger.error('Error fetching collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a collection or change its description
+app.patch('/api/collections/:id', requireRole('viewer'), validateRequest, async (req, res) => {
+  const errors = validateCollection(req.body, { partial: true });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  try {
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+    const { name = collection.name, description = collection.description } = req.body;
+    await pool.query(
+      'UPDATE collections SET name = $2, description = $3, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [collection.id, name.trim(), description]
+    );
+    const updated = await pool.query(`${COLLECTION_SELECT_SQL} WHERE c.id = $1`, [collection.id]);
+    res.json(updated.rows[0]);
+  } catch (err) {
+    logger.error('Error updating collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/collections/:id', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+    await pool.query('DELETE FROM collections WHERE id = $1', [collection.id]);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a recipe to the end of a collection
+app.post('/api/collections/:id/recipes', requireRole('viewer'), validateRequest, async (req, res) => {
+  const recipeId = req.body && req.body.recipe_id;
+  if (!Number.isInteger(recipeId) || recipeId < 1) {
+    return sendValidationError(res, [{ field: 'recipe_id', message: 'recipe_id must be a positive integer' }]);
+  }
+  
+  try {
+    const added = await withTransaction(async (client) => {
+      const collection = await findOwnedCollection(req, res, client);
+      if (!collection) return null;
+      
+      const recipe = await client.query('SELECT id FROM recipes WHERE id = $1', [recipeId]);
+      if (recipe.rows.length === 0) {
+        res.status(404).json({ error: 'Recipe not found' });
+        return null;
+      }
+      
+      // Lock the collection so concurrent adds get distinct positions
+      await client.query('SELECT id FROM collections WHERE id = $1 FOR UPDATE', [collection.id]);
+      await client.query(`
+        INSERT INTO collection_recipes (collection_id, recipe_id, position)
+        SELECT $1, $2, COALESCE(MAX(position), 0) + 1 FROM collection_recipes WHERE collection_id = $1
+        ON CONFLICT DO NOTHING
+      `, [collection.id, recipeId]);
+      await client.query('UPDATE collections SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [collection.id]);
+      return { ...collection, recipes: await fetchCollectionRecipes(client, collection.id) };
+    });
+    if (!added) return;
+    added.recipe_count = added.recipes.length;
+    res.json(added);
+  } catch (err) {
+    logger.error('Error adding recipe to collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reorder the recipes of a collection; `recipe_ids` lists every recipe in the new order
+app.put('/api/collections/:id/recipes/order', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+    
+    const current = await pool.query('SELECT recipe_id FROM collection_recipes WHERE collection_id = $1', [collection.id]);
+    const errors = validateOrder(req.body && req.body.recipe_ids, current.rows.map(row => row.recipe_id), 'recipe_ids');
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    await pool.query(`
+      UPDATE collection_recipes cr SET position = o.position
+      FROM UNNEST($2::int[]) WITH ORDINALITY AS o(recipe_id, position)
+      WHERE cr.collection_id = $1 AND cr.recipe_id = o.recipe_id
+    `, [collection.id, req.body.recipe_ids]);
+    res.json({ ...collection, recipes: await fetchCollectionRecipes(pool, collection.id) });
+  } catch (err) {
+    logger.error('Error reordering collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/collections/:id/recipes/:recipeId', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+    await pool.query(
+      'DELETE FROM collection_recipes WHERE collection_id = $1 AND recipe_id = $2',
+      [collection.id, parseIdParam(req.params.recipeId)]
+    );
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error removing recipe from collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create (or return the existing) public share token for a collection
+app.post('/api/collections/:id/share', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+    const result = await pool.query(
+      'UPDATE collections SET share_token = COALESCE(share_token, $2) WHERE id = $1 RETURNING share_token',
+      [collection.id, crypto.randomBytes(18).toString('base64url')]
+    );
+    const shareToken = result.rows[0].share_token;
+    res.json({ share_token: shareToken, path: `/api/shared/collections/${shareToken}` });
+  } catch (err) {
+    logger.error('Error sharing collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a collection's share link
+app.delete('/api/collections/:id/share', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const collection = await findOwnedCollection(req, res);
+    if (!collection) return;
+    await pool.query('UPDATE collections SET share_token = NULL WHERE id = $1', [collection.id]);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error unsharing collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Public read-only view of a shared collection
+app.get('/api/shared/collections/:token', validateRequest, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT c.id, c.name, c.description, c.updated_at, split_part(u.email, '@', 1) AS owner
+      FROM collections c
+      JOIN users u ON u.id = c.user_id
+      WHERE c.share_token = $1
+    `, [req.params.token]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Shared collection not found' });
+    }
+    const collection = result.rows[0];
+    res.json({ ...collection, recipes: await fetchCollectionRecipes(pool, collection.id) });
+  } catch (err) {
+    logger.error('Error fetching shared collection', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Meal plans
+
+const MEALS = ['breakfast', 'lunch', 'dinner', 'snack'];
+
+// Daily targets used when a plan does not set its own, in the units of NUTRIENT_UNITS
+const DEFAULT_DAILY_TARGETS = {
+  calories: 2000,
+  fatContent: 78,
+  saturatedFatContent: 20,
+  sodiumContent: 2300,
+  sugarContent: 50
+};
+
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+  !isNaN(Date.parse(value)) && new Date(value).toISOString().slice(0, 10) === value;
+
+const validateMealPlan = (body, { partial = false } = {}) => {
+  const errors = [];
+  const { name, start_date, days, targets } = body || {};
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > 100) {
+      errors.push({ field: 'name', message: 'name must be a non-empty string of at most 100 characters' });
+    }
+  }
+  if (start_date !== undefined || !partial) {
+    if (!isIsoDate(start_date)) {
+      errors.push({ field: 'start_date', message: 'start_date must be a date in YYYY-MM-DD format' });
+    }
+  }
+  if (days !== undefined && (!Number.isInteger(days) || days < 1 || days > 31)) {
+    errors.push({ field: 'days', message: 'days must be a whole number from 1 to 31' });
+  }
+  if (targets !== undefined) {
+    if (!targets || typeof targets !== 'object' || Array.isArray(targets)) {
+      errors.push({ field: 'targets', message: 'targets must be an object of nutrient limits' });
+    } else {
+      for (const [key, limit] of Object.entries(targets)) {
+        if (typeof limit !== 'number' || !(limit > 0)) {
+          errors.push({ field: `targets.${key}`, message: `targets.${key} must be a positive number` });
+        }
+      }
+    }
+  }
+  return errors;
+};
+
+// Load a meal plan owned by the signed-in user, or respond with 404
+const findOwnedMealPlan = async (req, res) => {
+  const id = parseIdParam(req.params.id);
+  const result = id
+    ? await pool.query(`SELECT id, name, to_char(start_date, 'YYYY-MM-DD') AS start_date, days, targets, created_at, updated_at
+        FROM meal_plans WHERE id = $1 AND user_id = $2`, [id, req.user.id])
+    : { rows: [] };
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Meal plan not found' });
+    return null;
+  }
+  return result.rows[0];
+};
+
+// Slots of a plan in day and meal order, with the recipe fields the planner shows
+const fetchMealPlanSlots = async (planId) => {
+  const result = await pool.query(`
+    SELECT s.day, s.meal, s.servings, s.recipe_id, r.title, r.cuisine, r.total_time, r.rating, r.nutrition
+    FROM meal_plan_slots s
+    JOIN recipes r ON r.id = s.recipe_id
+    WHERE s.plan_id = $1
+    ORDER BY s.day, array_position($2::text[], s.meal::text)
+  `, [planId, MEALS]);
+  return result.rows;
+};
+
+// Amount of a parsed nutrient in the unit its key is stored in, or the raw value when
+// its unit cannot be converted
+const nutrientAmount = (key, { value, unit }) => {
+  const target = NUTRIENT_UNITS[key];
+  const family = target && unit && unitFamily(unit.toLowerCase());
+  if (!family || family !== unitFamily(target)) return value;
+  return value * UNIT_FACTORS[family][unit.toLowerCase()] / UNIT_FACTORS[family][target];
+};
+
+const roundAmount = (value) => Math.round(value * 10) / 10;
+
+// Add up nutrients per day and for the whole plan. A slot counts its recipe's per-serving
+// nutrients times the slot's servings. Each slot that pushes a day past a target is reported
+// with the day's running total at that point.
+const summarizeMealPlan = (plan, slots) => {
+  const targets = Object.keys(plan.targets).length > 0 ? plan.targets : DEFAULT_DAILY_TARGETS;
+  const days = Array.from({ length: plan.days }, (_, day) => {
+    const date = new Date(`${plan.start_date}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + day);
+    return { day, date: date.toISOString().slice(0, 10), slots: 0, totals: {}, over_targets: [] };
+  });
+  const totals = {};
+  
+  for (const slot of slots) {
+    const summary = days[slot.day];
+    if (!summary) continue;
+    summary.slots++;
+    for (const [key, parsed] of Object.entries(slot.nutrition || {})) {
+      const amount = nutrientAmount(key, parsed) * slot.servings;
+      const before = summary.totals[key] || 0;
+      summary.totals[key] = before + amount;
+      totals[key] = (totals[key] || 0) + amount;
+      if (targets[key] !== undefined && before <= targets[key] && before + amount > targets[key]) {
+        summary.over_targets.push({
+          nutrient: key,
+          target: targets[key],
+          total: roundAmount(before + amount),
+          meal: slot.meal,
+          recipe_id: slot.recipe_id,
+          title: slot.title
+        });
+      }
+    }
+  }
+  
+  for (const summary of days) {
+    for (const key of Object.keys(summary.totals)) {
+      summary.totals[key] = roundAmount(summary.totals[key]);
+    }
+  }
+  for (const key of Object.keys(totals)) {
+    totals[key] = roundAmount(totals[key]);
+  }
+  
+  return {
+    plan_id: plan.id,
+    targets,
+    units: Object.fromEntries(Object.keys(totals).map(key => [key, NUTRIENT_UNITS[key] || null])),
+    days,
+    totals,
+    daily_average: Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, roundAmount(value / plan.days)]))
+  };
+};
+
+// The signed-in user's meal plans, most recent start date first
+app.get('/api/meal-plans', requireRole('viewer'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT p.id, p.name, to_char(p.start_date, 'YYYY-MM-DD') AS start_date, p.days, p.targets, p.created_at, p.updated_at,
+        (SELECT COUNT(*)::int FROM meal_plan_slots s WHERE s.plan_id = p.id) AS slot_count
+      FROM meal_plans p
+      WHERE p.user_id = $1
+      ORDER BY p.start_date DESC, p.id DESC
+    `, [req.user.id]);
+    res.json({ data: result.rows });
+  } catch (err) {
+    logger.error('Error fetching meal plans', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post('/api/meal-plans', requireRole('viewer'), validateRequest, async (req, res) => {
+  const errors = validateMealPlan(req.body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  const { name, start_date, days = 7, targets = {} } = req.body;
+  try {
+    const result = await pool.query(`
+      INSERT INTO meal_plans (user_id, name, start_date, days, targets) VALUES ($1, $2, $3, $4, $5)
+      RETURNING id, name, to_char(start_date, 'YYYY-MM-DD') AS start_date, days, targets, created_at, updated_at
+    `, [req.user.id, name.trim(), start_date, days, JSON.stringify(targets)]);
+    res.status(201).json({ ...result.rows[0], slots: [] });
+  } catch (err) {
+    logger.error('Error creating meal plan', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A meal plan with its slots
+app.get('/api/meal-plans/:id', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const plan = await findOwnedMealPlan(req, res);
+    if (!plan) return;
+    const slots = await fetchMealPlanSlots(plan.id);
+    res.json({ ...plan, slots: slots.map(({ nutrition, ...slot }) => slot) });
+  } catch (err) {
+    logger.error('Error fetching meal plan', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a plan's name, dates or targets. Shortening a plan drops the slots past its end.
+app.patch('/api/meal-plans/:id', requireRole('viewer'), validateRequest, async (req, res) => {
+  const errors = validateMealPlan(req.body, { partial: true });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  try {
+    const plan = await findOwnedMealPlan(req, res);
+    if (!plan) return;
+    const { name = plan.name, start_date = plan.start_date, days = plan.days, targets = plan.targets } = req.body;
+    await withTransaction(async (client) => {
+      await client.query(`
+        UPDATE meal_plans SET name = $2, start_date = $3, days = $4, targets = $5, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [plan.id, name.trim(), start_date, days, JSON.stringify(targets)]);
+      await client.query('DELETE FROM meal_plan_slots WHERE plan_id = $1 AND day >= $2', [plan.id, days]);
+    });
+    const updated = await findOwnedMealPlan(req, res);
+    const slots = await fetchMealPlanSlots(plan.id);
+    res.json({ ...updated, slots: slots.map(({ nutrition, ...slot }) => slot) });
+  } catch (err) {
+    logger.error('Error updating meal plan', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/meal-plans/:id', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const plan = await findOwnedMealPlan(req, res);
+    if (!plan) return;
+    await pool.query('DELETE FROM meal_plans WHERE id = $1', [plan.id]);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting meal plan', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Parse the :day and :meal slot parameters against a plan, responding with 400 when invalid
+const parseSlotParams = (req, res, plan) => {
+  const day = /^\d+$/.test(req.params.day) ? parseInt(req.params.day) : -1;
+  const errors = [];
+  if (day < 0 || day >= plan.days) {
+    errors.push({ field: 'day', message: `day must be from 0 to ${plan.days - 1}` });
+  }
+  if (!MEALS.includes(req.params.meal)) {
+    errors.push({ field: 'meal', message: `meal must be one of ${MEALS.join(', ')}` });
+  }
+  if (errors.length > 0) {
+    sendValidationError(res, errors);
+    return null;
+  }
+  return { day, meal: req.params.meal };
+};
+
+// Put a recipe in a slot, replacing whatever was there
+app.put('/api/meal-plans/:id/slots/:day/:meal', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const plan = await findOwnedMealPlan(req, res);
+    if (!plan) return;
+    const slot = parseSlotParams(req, res, plan);
+    if (!slot) return;
+    
+    const { recipe_id: recipeId, servings = 1 } = req.body || {};
+    const errors = [];
+    if (!Number.isInteger(recipeId) || recipeId < 1) {
+      errors.push({ field: 'recipe_id', message: 'recipe_id must be a positive integer' });
+    }
+    if (typeof servings !== 'number' || !(servings > 0) || servings > MAX_SCALED_SERVINGS) {
+      errors.push({ field: 'servings', message: `servings must be a number greater than 0 and at most ${MAX_SCALED_SERVINGS}` });
+    }
+    if (errors.length > 0) {
+      return sendValidationError(res, errors);
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO meal_plan_slots (plan_id, day, meal, recipe_id, servings)
+      SELECT $1, $2, $3, id, $5 FROM recipes WHERE id = $4
+      ON CONFLICT (plan_id, day, meal) DO UPDATE SET recipe_id = EXCLUDED.recipe_id, servings = EXCLUDED.servings
+      RETURNING day, meal, recipe_id, servings
+    `, [plan.id, slot.day, slot.meal, recipeId, servings]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Recipe not found' });
+    }
+    await pool.query('UPDATE meal_plans SET updated_at = CURRENT_TIMESTAMP WHERE id = $1', [plan.id]);
+    res.json(result.rows[0]);
+  } catch (err) {
+    logger.error('Error updating meal plan slot', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/meal-plans/:id/slots/:day/:meal', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const plan = await findOwnedMealPlan(req, res);
+    if (!plan) return;
+    const slot = parseSlotParams(req, res, plan);
+    if (!slot) return;
+    await pool.query('DELETE FROM meal_plan_slots WHERE plan_id = $1 AND day = $2 AND meal = $3', [plan.id, slot.day, slot.meal]);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error clearing meal plan slot', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Nutrient totals per day and for the plan, with the slots that go over the daily targets
+app.get('/api/meal-plans/:id/summary', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const plan = await findOwnedMealPlan(req, res);
+    if (!plan) return;
+    res.json(summarizeMealPlan(plan, await fetchMealPlanSlots(plan.id)));
+  } catch (err) {
+    logger.error('Error summarizing meal plan', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Meal plan generator
+
+// Highest-rated matching recipes the generator chooses from
+const GENERATOR_CANDIDATE_LIMIT = 500;
+// Best-scoring candidates for a slot; the seed picks among them so plans vary between seeds
+const GENERATOR_SHORTLIST = 5;
+
+// Deterministic pseudo-random numbers in [0, 1) from a 32-bit seed (mulberry32)
+const seededRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = Math.imul(state ^ (state >>> 15), state | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+const isCuisineList = (value) => Array.isArray(value) && value.length > 0 &&
+  value.every(cuisine => typeof cuisine === 'string' && cuisine.trim() !== '');
+
+// Fill in defaults for the generator constraints and validate them
+const parseGenerateOptions = (body) => {
+  const options = {
+    name: 'Generated meal plan',
+    start_date: new Date().toISOString().slice(0, 10),
+    days: 7,
+    meals: 3,
+    no_repeat_days: 7,
+    seed: crypto.randomInt(2 ** 31),
+    dry_run: false,
+    ...body
+  };
+  const errors = validateMealPlan(options);
+  
+  if (Number.isInteger(options.meals) && options.meals >= 1 && options.meals <= MEALS.length) {
+    options.meals = MEALS.slice(0, options.meals);
+  } else if (Array.isArray(options.meals) && options.meals.length > 0 &&
+      options.meals.every(meal => MEALS.includes(meal)) && new Set(options.meals).size === options.meals.length) {
+    options.meals = MEALS.filter(meal => options.meals.includes(meal));
+  } else {
+    errors.push({ field: 'meals', message: `meals must be a count from 1 to ${MEALS.length} or a list of ${MEALS.join(', ')}` });
+  }
+  
+  const { calories } = options;
+  if (calories !== undefined) {
+    const isLimit = (value) => value === undefined || (typeof value === 'number' && value > 0);
+    if (!calories || typeof calories !== 'object' || (calories.min === undefined && calories.max === undefined) ||
+        !isLimit(calories.min) || !isLimit(calories.max) || (calories.min > calories.max)) {
+      errors.push({ field: 'calories', message: 'calories must be an object with a positive min and/or max, and min must not exceed max' });
+    }
+  }
+  if (options.max_total_time !== undefined && (typeof options.max_total_time !== 'number' || !(options.max_total_time > 0))) {
+    errors.push({ field: 'max_total_time', message: 'max_total_time must be a positive number of minutes' });
+  }
+  for (const field of ['cuisines', 'exclude_cuisines']) {
+    if (options[field] !== undefined && !isCuisineList(options[field])) {
+      errors.push({ field, message: `${field} must be a non-empty list of cuisine names` });
+    }
+  }
+  if (!Number.isInteger(options.no_repeat_days) || options.no_repeat_days < 1 || options.no_repeat_days > 31) {
+    errors.push({ field: 'no_repeat_days', message: 'no_repeat_days must be a whole number from 1 to 31' });
+  }
+  if (!Number.isInteger(options.seed) || options.seed < 0 || options.seed > 0xFFFFFFFF) {
+    errors.push({ field: 'seed', message: 'seed must be a whole number from 0 to 4294967295' });
+  }
+  if (typeof options.dry_run !== 'boolean') {
+    errors.push({ field: 'dry_run', message: 'dry_run must be a boolean' });
+  }
+  return { options, errors };
+};
+
+// Recipes that meet the hard constraints (time and cuisine), best rated first. With a calorie
+// range only recipes with a calorie count can be planned.
+const fetchGeneratorCandidates = async ({ max_total_time, cuisines, exclude_cuisines, calories }) => {
+  const whereConditions = [];
+  const queryParams = [];
+  if (max_total_time !== undefined) {
+    queryParams.push(max_total_time);
+    whereConditions.push(`total_time <= $${queryParams.length}`);
+  }
+  if (cuisines) {
+    queryParams.push(cuisines.map(cuisine => cuisine.trim().toLowerCase()));
+    whereConditions.push(`LOWER(cuisine) = ANY($${queryParams.length}::text[])`);
+  }
+  if (exclude_cuisines) {
+    queryParams.push(exclude_cuisines.map(cuisine => cuisine.trim().toLowerCase()));
+    whereConditions.push(`(cuisine IS NULL OR LOWER(cuisine) <> ALL($${queryParams.length}::text[]))`);
+  }
+  if (calories) {
+    whereConditions.push(`nutrition->'calories' IS NOT NULL`);
+  }
+  queryParams.push(GENERATOR_CANDIDATE_LIMIT);
+  
+  const result = await pool.query(`
+    SELECT id, title, cuisine, total_time, rating, nutrition
+    FROM recipes
+    ${whereConditions.length > 0 ? `WHERE ${whereConditions.join(' AND ')}` : ''}
+    ORDER BY rating DESC NULLS LAST, id ASC
+    LIMIT $${queryParams.length}
+  `, queryParams);
+  return result.rows.map(recipe => ({
+    ...recipe,
+    kcal: recipe.nutrition && recipe.nutrition.calories ? nutrientAmount('calories', recipe.nutrition.calories) : 0
+  }));
+};
+
+const dayCalories = (recipes) => recipes.reduce((sum, recipe) => sum + recipe.kcal, 0);
+
+const distanceFromRange = (total, min, max) => (total < min ? min - total : total > max ? total - max : 0);
+
+// Higher-rated recipes score higher; with a calorie goal, so do recipes close to the calories
+// the rest of the day still needs per meal
+const scoreCandidate = (recipe, goal) => {
+  const quality = 1 + (Number(recipe.rating) || 0);
+  if (goal === null) return quality;
+  const miss = Math.abs(recipe.kcal - Math.max(goal, 0)) / Math.max(goal, 100);
+  return quality / (1 + 4 * miss);
+};
+
+// Pick from the best-scoring candidates, weighted by score
+const pickCandidate = (candidates, goal, random) => {
+  const shortlist = candidates
+    .map(recipe => ({ recipe, score: scoreCandidate(recipe, goal) }))
+    .sort((a, b) => b.score - a.score || a.recipe.id - b.recipe.id)
+    .slice(0, GENERATOR_SHORTLIST);
+  let roll = random() * shortlist.reduce((sum, { score }) => sum + score, 0);
+  for (const { recipe, score } of shortlist) {
+    roll -= score;
+    if (roll < 0) return recipe;
+  }
+  return shortlist[shortlist.length - 1].recipe;
+};
+
+// Swap one meal at a time for the recipe that brings the day's calories closest to the range,
+// until the day fits or no swap helps
+const repairDay = (chosen, candidates, min, max) => {
+  for (let pass = 0; pass < chosen.length; pass++) {
+    const total = dayCalories(chosen);
+    let bestDistance = distanceFromRange(total, min, max);
+    let best = null;
+    chosen.forEach((current, index) => {
+      for (const recipe of candidates) {
+        if (chosen.includes(recipe)) continue;
+        const distance = distanceFromRange(total - current.kcal + recipe.kcal, min, max);
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = { index, recipe };
+        }
+      }
+    });
+    if (!best) return;
+    chosen[best.index] = best.recipe;
+  }
+};
+
+// Fill every day and meal from the candidates. A recipe is not used again within no_repeat_days
+// days of its last use unless nothing else is left; every constraint that could not be met is
+// listed in `unmet`.
+const generateMealPlan = (candidates, options) => {
+  const { days, meals, calories, no_repeat_days: noRepeatDays } = options;
+  const random = seededRandom(options.seed);
+  const min = calories && calories.min !== undefined ? calories.min : 0;
+  const max = calories && calories.max !== undefined ? calories.max : Infinity;
+  const dailyGoal = !calories ? null : calories.min !== undefined && calories.max !== undefined
+    ? (calories.min + calories.max) / 2
+    : calories.min !== undefined ? calories.min : calories.max;
+  const lastUsed = new Map();
+  const slots = [];
+  const unmet = [];
+  
+  for (let day = 0; day < days; day++) {
+    const isRested = (recipe) => !lastUsed.has(recipe.id) || day - lastUsed.get(recipe.id) >= noRepeatDays;
+    const rested = candidates.filter(isRested);
+    const chosen = [];
+    
+    for (const meal of meals) {
+      let available = rested.filter(recipe => !chosen.includes(recipe));
+      if (available.length === 0) {
+        // Fall back to the least recently used recipe not already on today's menu
+        available = candidates
+          .filter(recipe => !chosen.includes(recipe))
+          .sort((a, b) => lastUsed.get(a.id) - lastUsed.get(b.id))
+          .slice(0, 1);
+      }
+      if (available.length === 0) {
+        unmet.push({ constraint: 'meals', day, meal, message: `Not enough matching recipes to fill ${meal} on day ${day + 1}` });
+        continue;
+      }
+      const goal = dailyGoal === null ? null : (dailyGoal - dayCalories(chosen)) / (meals.length - chosen.length);
+      chosen.push(pickCandidate(available, goal, random));
+    }
+    
+    if (calories) {
+      repairDay(chosen, rested, min, max);
+      const total = dayCalories(chosen);
+      if (distanceFromRange(total, min, max) > 0) {
+        unmet.push({
+          constraint: 'calories',
+          day,
+          total: roundAmount(total),
+          min: calories.min,
+          max: calories.max,
+          message: `Day ${day + 1} has ${roundAmount(total)} kcal, outside the requested range`
+        });
+      }
+    }
+    
+    const filled = meals.filter(meal => !unmet.some(entry => entry.constraint === 'meals' && entry.day === day && entry.meal === meal));
+    chosen.forEach((recipe, index) => {
+      if (!isRested(recipe)) {
+        unmet.push({
+          constraint: 'no_repeat_days',
+          day,
+          meal: filled[index],
+          recipe_id: recipe.id,
+          message: `${recipe.title} repeats ${day - lastUsed.get(recipe.id)} day(s) after its last use`
+        });
+      }
+      lastUsed.set(recipe.id, day);
+      const { kcal, ...slotRecipe } = recipe;
+      slots.push({ day, meal: filled[index], servings: 1, recipe_id: recipe.id, ...slotRecipe });
+    });
+  }
+  
+  return { slots: slots.map(({ id, ...slot }) => slot), unmet };
+};
+
+// Generate a plan under nutrition, time and cuisine constraints. Returns the plan with its
+// summary, the seed that reproduces it and the constraints it could not meet; saved unless dry_run.
+app.post('/api/meal-plans/generate', requireRole('viewer'), validateRequest, async (req, res) => {
+  const { options, errors } = parseGenerateOptions(req.body || {});
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  try {
+    const candidates = await fetchGeneratorCandidates(options);
+    if (candidates.length === 0) {
+      return res.status(422).json({
+        error: 'No recipes match the constraints',
+        unmet: [{ constraint: 'recipes', message: 'No recipes match max_total_time, cuisines, exclude_cuisines and have calories when a calorie range is given' }]
+      });
+    }
+    
+    const { slots, unmet } = generateMealPlan(candidates, options);
+    const targets = options.calories && options.calories.max !== undefined
+      ? { ...DEFAULT_DAILY_TARGETS, calories: options.calories.max }
+      : {};
+    let plan = { id: null, name: options.name.trim(), start_date: options.start_date, days: options.days, targets };
+    
+    if (!options.dry_run) {
+      plan = await withTransaction(async (client) => {
+        const result = await client.query(`
+          INSERT INTO meal_plans (user_id, name, start_date, days, targets) VALUES ($1, $2, $3, $4, $5)
+          RETURNING id, name, to_char(start_date, 'YYYY-MM-DD') AS start_date, days, targets, created_at, updated_at
+        `, [req.user.id, plan.name, plan.start_date, plan.days, JSON.stringify(targets)]);
+        await client.query(`
+          INSERT INTO meal_plan_slots (plan_id, day, meal, recipe_id)
+          SELECT $1, * FROM UNNEST($2::int[], $3::text[], $4::int[])
+        `, [result.rows[0].id, slots.map(slot => slot.day), slots.map(slot => slot.meal), slots.map(slot => slot.recipe_id)]);
+        return result.rows[0];
+      });
+    }
+    
+    res.status(options.dry_run ? 200 : 201).json({
+      ...plan,
+      slots: slots.map(({ nutrition, ...slot }) => slot),
+      summary: summarizeMealPlan(plan, slots),
+      seed: options.seed,
+      complete: unmet.length === 0,
+      unmet
+    });
+  } catch (err) {
+    logger.error('Error generating meal plan', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Saved searches
+
+const SAVED_SEARCH_NAME_MAX_LENGTH = 100;
+// Saved searches one user may keep; listing them counts new matches for each
+const SAVED_SEARCH_MAX_PER_USER = 50;
+
+// Parameters of GET /api/recipes/search a saved query may hold besides the numeric filters
+const SAVED_QUERY_PARAMS = ['q', 'title', 'cuisine', 'ingredients', 'tags', 'sort', 'rating_weight'];
+
+// Check a saved query the way GET /api/recipes/search would run it
+const validateSavedSearch = (body, { partial = false } = {}) => {
+  const errors = [];
+  const { name, query } = body || {};
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || name.trim() === '' || name.length > SAVED_SEARCH_NAME_MAX_LENGTH) {
+      errors.push({ field: 'name', message: `name must be a non-empty string of at most ${SAVED_SEARCH_NAME_MAX_LENGTH} characters` });
+    }
+  }
+  if (query !== undefined) {
+    for (const key of Object.keys(query)) {
+      if (!SAVED_QUERY_PARAMS.includes(key) && !resolveNumericFilter(key)) {
+        errors.push({ field: `query.${key}`, message: `query.${key} is not a search filter` });
+      }
+    }
+    const filters = buildSearchFilters(query);
+    parseSort(query.sort, Boolean(filters.textQuery), filters.errors);
+    parseRatingWeight(query, filters.errors);
+    errors.push(...filters.errors.map(({ field, message }) => ({ field: `query.${field}`, message })));
+  }
+  return errors;
+};
+
+const SAVED_SEARCH_COLUMNS = 'id, name, query, notify, seen_recipe_id, last_run_at, created_at, updated_at';
+
+// Load a saved search owned by the signed-in user, or respond with 404
+const findOwnedSavedSearch = async (req, res) => {
+  const id = parseIdParam(req.params.id);
+  const result = id
+    ? await pool.query(`SELECT ${SAVED_SEARCH_COLUMNS} FROM saved_searches WHERE id = $1 AND user_id = $2`, [id, req.user.id])
+    : { rows: [] };
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: 'Saved search not found' });
+    return null;
+  }
+  return result.rows[0];
+};
+
+// Recipes matching a saved search that were added after it was last run, when it notifies
+const withNewMatches = async (search, db = pool) => {
+  const { seen_recipe_id: seenRecipeId, ...rest } = search;
+  if (!search.notify) return { ...rest, new_matches: null };
+  const { whereConditions, queryParams } = buildSearchFilters(search.query);
+  queryParams.push(seenRecipeId);
+  const result = await db.query(`
+    SELECT COUNT(*)::int AS count FROM recipes WHERE ${[...whereConditions, `id > $${queryParams.length}`].join(' AND ')}
+  `, queryParams);
+  return { ...rest, new_matches: result.rows[0].count };
+};
+
+// The signed-in user's saved searches by name, with their new matches. The counts run one
+// after another on a single connection so a long list cannot take over the pool.
+app.get('/api/saved-searches', requireRole('viewer'), async (req, res) => {
+  try {
+    const client = await pool.connect();
+    try {
+      const result = await client.query(`SELECT ${SAVED_SEARCH_COLUMNS} FROM saved_searches WHERE user_id = $1 ORDER BY name, id`, [req.user.id]);
+      const data = [];
+      for (const search of result.rows) {
+        data.push(await withNewMatches(search, client));
+      }
+      res.json({ data });
+    } finally {
+      client.release();
+    }
+  } catch (err) {
+    logger.error('Error fetching saved searches', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Save a search. Only recipes added from now on count as its new matches.
+app.post('/api/saved-searches', requireRole('viewer'), validateRequest, async (req, res) => {
+  const errors = validateSavedSearch(req.body);
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  const { name, query = {}, notify = false } = req.body;
+  try {
+    const result = await pool.query(`
+      INSERT INTO saved_searches (user_id, name, query, notify, seen_recipe_id)
+      SELECT $1, $2, $3, $4, (SELECT COALESCE(MAX(id), 0) FROM recipes)
+      WHERE (SELECT COUNT(*) FROM saved_searches WHERE user_id = $1) < $5
+      ON CONFLICT (user_id, name) DO NOTHING
+      RETURNING ${SAVED_SEARCH_COLUMNS}
+    `, [req.user.id, name.trim(), JSON.stringify(query), notify, SAVED_SEARCH_MAX_PER_USER]);
+    if (result.rows.length === 0) {
+      const existing = await pool.query('SELECT 1 FROM saved_searches WHERE user_id = $1 AND name = $2', [req.user.id, name.trim()]);
+      return res.status(409).json({
+        error: existing.rows.length > 0
+          ? 'A saved search with this name already exists'
+          : `At most ${SAVED_SEARCH_MAX_PER_USER} searches can be saved`
+      });
+    }
+    res.status(201).json(await withNewMatches(result.rows[0]));
+  } catch (err) {
+    logger.error('Error saving search', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a saved search, replace its query or turn notifications on or off. A new query
+// starts counting new matches afresh.
+app.patch('/api/saved-searches/:id', requireRole('viewer'), validateRequest, async (req, res) => {
+  const errors = validateSavedSearch(req.body, { partial: true });
+  if (errors.length > 0) {
+    return sendValidationError(res, errors);
+  }
+  
+  try {
+    const search = await findOwnedSavedSearch(req, res);
+    if (!search) return;
+    const { name = search.name, query, notify = search.notify } = req.body;
+    const result = await pool.query(`
+      UPDATE saved_searches
+      SET name = $2, query = COALESCE($3, query), notify = $4,
+        seen_recipe_id = CASE WHEN $3::jsonb IS NULL THEN seen_recipe_id ELSE (SELECT COALESCE(MAX(id), 0) FROM recipes) END,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND NOT EXISTS (SELECT 1 FROM saved_searches WHERE user_id = $5 AND name = $2 AND id <> $1)
+      RETURNING ${SAVED_SEARCH_COLUMNS}
+    `, [search.id, name.trim(), query === undefined ? null : JSON.stringify(query), notify, req.user.id]);
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'A saved search with this name already exists' });
+    }
+    res.json(await withNewMatches(result.rows[0]));
+  } catch (err) {
+    logger.error('Error updating saved search', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/saved-searches/:id', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const search = await findOwnedSavedSearch(req, res);
+    if (!search) return;
+    await pool.query('DELETE FROM saved_searches WHERE id = $1', [search.id]);
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting saved search', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a saved search and answer like GET /api/recipes/search, taking the page, limit, cursor,
+// count and facets from the query string. Once a page is sent its matches count as seen; the
+// newest recipe id is read before searching so a recipe added meanwhile is not missed.
+app.post('/api/saved-searches/:id/run', requireRole('viewer'), validateRequest, async (req, res) => {
+  try {
+    const search = await findOwnedSavedSearch(req, res);
+    if (!search) return;
+    const latest = await pool.query('SELECT COALESCE(MAX(id), 0) AS id FROM recipes');
+  
+    const { page, limit, cursor, count, facets } = req.query;
+    const query = { ...search.query, page, limit, cursor, count };
+    const filters = buildSearchFilters(query);
+    await sendRecipePage(query, res, filters, parseFacets(facets, filters.errors), {
+      beforeSend: (client) => client.query(`
+        UPDATE saved_searches SET seen_recipe_id = $2, last_run_at = CURRENT_TIMESTAMP WHERE id = $1
+      `, [search.id, latest.rows[0].id])
+    });
+  } catch (err) {
+    logger.error('Error running saved search', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const IMPORT_FILE_EXTENSIONS = ['.json', '.jsonld', '.csv', '.html', '.htm'];
+const MAX_UPLOAD_BYTES = 20 * 1024 * 1024;
+const MAX_UPLOAD_FILES = 10;
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_UPLOAD_BYTES, files: MAX_UPLOAD_FILES } });
+
+// Run an import from a file in the server directory or from recipes in the body.
+// `format` overrides the format guessed from the file extension; with `recipes`,
+// `format: "jsonld"` reads them as schema.org Recipe JSON-LD.
+app.post('/api/admin/import', requireRole('admin'), validateRequest, async (req, res) => {
+  const { file, recipes, dataset, key = 'title', dryRun = false, format } = req.body || {};
+  
+  if (!IMPORT_KEY_STRATEGIES.includes(key)) {
+    return res.status(400).json({ error: `key must be one of: ${IMPORT_KEY_STRATEGIES.join(', ')}` });
+  }
+  if (!file === !recipes) {
+    return res.status(400).json({ error: 'Provide exactly one of "file" or "recipes"' });
+  }
+  const formats = file ? IMPORT_FORMATS : ['json', 'jsonld'];
+  if (format !== undefined && !formats.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${formats.join(', ')}` });
+  }
+  
+  try {
+    let report;
+    if (file) {
+      const filePath = path.resolve(__dirname, String(file));
+      if (!filePath.startsWith(__dirname + path.sep) || !IMPORT_FILE_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        return res.status(400).json({ error: `file must be a ${IMPORT_FILE_EXTENSIONS.join(', ')} file in the server directory` });
+      }
+      if (!fs.existsSync(filePath)) {
+        return res.status(404).json({ error: `File not found: ${file}` });
+      }
+      report = await parseAndInsertRecipes(filePath, { dataset, key, format, dryRun: dryRun === true });
+    } else {
+      const recipesData = format === 'jsonld' ? jsonLdToRecipes(recipes) : recipes;
+      report = await importRecipes(recipesData, { dataset: dataset || 'api', key, dryRun: dryRun === true });
+      logImportReport(report);
+    }
+    res.json(report);
+  } catch (err) {
+    logger.error('Error importing recipes', { error: err });
+    if (err instanceof SyntaxError) {
+      return res.status(400).json({ error: `Could not parse ${file || 'recipes'}: ${err.message}` });
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import uploaded files sent as multipart/form-data in one or more "file" fields. Each file
+// is imported on its own, with its dataset defaulting to its file name; a file that cannot be
+// parsed fails the request before anything is imported.
+app.post('/api/admin/import/upload', requireRole('admin'), (req, res, next) => {
+  upload.array('file', MAX_UPLOAD_FILES)(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({ error: err.message });
+    }
+    if (err) {
+      logger.error('Error receiving uploaded files', { error: err });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+    next();
+  });
+}, validateRequest, async (req, res) => {
+  const { dataset, key = 'title', format } = req.body || {};
+  const dryRun = req.body && req.body.dryRun === 'true';
+  const files = req.files || [];
+  
+  if (files.length === 0) {
+    return res.status(400).json({ error: 'Upload at least one file in the "file" field' });
+  }
+  if (!IMPORT_KEY_STRATEGIES.includes(key)) {
+    return res.status(400).json({ error: `key must be one of: ${IMPORT_KEY_STRATEGIES.join(', ')}` });
+  }
+  if (format !== undefined && !IMPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of: ${IMPORT_FORMATS.join(', ')}` });
+  }
+  
+  const parsed = [];
+  for (const file of files) {
+    const content = file.buffer.toString('utf8');
+    const fileFormat = format || detectImportFormat(file.originalname, content);
+    try {
+      parsed.push({ file, format: fileFormat, recipesData: parseImportContent(content, fileFormat) });
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        return res.status(400).json({ error: `Could not parse ${file.originalname}: ${err.message}` });
+      }
+      logger.error('Error parsing uploaded recipes', { error: err });
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+  
+  try {
+    const results = [];
+    for (const { file, format: fileFormat, recipesData } of parsed) {
+      const report = await importRecipes(recipesData, {
+        dataset: dataset || path.basename(file.originalname, path.extname(file.originalname)),
+        key,
+        dryRun
+      });
+      logImportReport(report);
+      results.push({ file: file.originalname, format: fileFormat, report });
+    }
+    res.json({ files: results });
+  } catch (err) {
+    logger.error('Error importing uploaded recipes', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cache backend, size and hit/miss counts since the server started
+app.get('/api/admin/cache', requireRole('admin'), (req, res) => {
+  const lookups = cacheStats.hits + cacheStats.misses;
+  res.json({
+    backend: responseCache.backend,
+    entries: responseCache.size(),
+    max_entries: responseCache.backend === 'memory' ? CACHE_MAX_ENTRIES : null,
+    ttl_seconds: CACHE_TTL_SECONDS,
+    ...cacheStats,
+    hit_rate: lookups > 0 ? Math.round(cacheStats.hits / lookups * 1000) / 1000 : null
+  });
+});
+
+// Drop every cached listing, e.g. after recipes were changed directly in the database
+app.delete('/api/admin/cache', requireRole('admin'), async (req, res) => {
+  await invalidateRecipeCache();
+  res.status(204).end();
+});
+
+// API keys, with today's request count and the email of the user each acts as
+const API_KEY_SELECT_SQL = `
+  SELECT k.id, k.name, k.prefix, k.user_id, u.email AS user_email, k.rate_limit, k.daily_quota,
+    COALESCE(d.requests, 0) AS requests_today, k.created_at, k.revoked_at
+  FROM api_keys k
+  JOIN users u ON u.id = k.user_id
+  LEFT JOIN api_key_usage d ON d.api_key_id = k.id AND d.day = (now() AT TIME ZONE 'utc')::date
+`;
+
+app.get('/api/admin/api-keys', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(`${API_KEY_SELECT_SQL} ORDER BY k.revoked_at IS NOT NULL, k.id`);
+    res.json({ data: result.rows });
+  } catch (err) {
+    logger.error('Error fetching API keys', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Issue a key acting as `user_id` (the caller by default). Only a hash is stored, so the key
+// is returned this once.
+app.post('/api/admin/api-keys', requireRole('admin'), validateRequest, async (req, res) => {
+  const { name, user_id: userId = req.user.id, rate_limit = null, daily_quota = null } = req.body;
+  if (name.trim() === '') {
+    return sendValidationError(res, [{ field: 'name', message: 'name must not be empty' }]);
+  }
+  
+  const key = API_KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  try {
+    const result = await pool.query(`
+      INSERT INTO api_keys (user_id, name, prefix, key_hash, rate_limit, daily_quota)
+      SELECT id, $2, $3, $4, $5, $6 FROM users WHERE id = $1
+      RETURNING id
+    `, [userId, name.trim(), key.slice(0, 10), hashApiKey(key), rate_limit, daily_quota]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const created = await pool.query(`${API_KEY_SELECT_SQL} WHERE k.id = $1`, [result.rows[0].id]);
+    logger.info('API key issued', { api_key_id: result.rows[0].id, user_id: userId });
+    res.status(201).json({ ...created.rows[0], key });
+  } catch (err) {
+    logger.error('Error creating API key', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a key or change its limits; a null limit falls back to the default
+app.patch('/api/admin/api-keys/:id', requireRole('admin'), validateRequest, async (req, res) => {
+  const updates = ['name', 'rate_limit', 'daily_quota'].filter(field => req.body[field] !== undefined);
+  if (req.body.name !== undefined && req.body.name.trim() === '') {
+    return sendValidationError(res, [{ field: 'name', message: 'name must not be empty' }]);
+  }
+  
+  try {
+    const assignments = updates.map((field, index) => `${field} = $${index + 2}`);
+    const values = updates.map(field => (field === 'name' ? req.body.name.trim() : req.body[field]));
+    const result = await pool.query(assignments.length > 0
+      ? `UPDATE api_keys SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`
+      : 'SELECT id FROM api_keys WHERE id = $1', [parseIdParam(req.params.id), ...values]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    const updated = await pool.query(`${API_KEY_SELECT_SQL} WHERE k.id = $1`, [result.rows[0].id]);
+    res.json(updated.rows[0]);
+  } catch (err) {
+    logger.error('Error updating API key', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a key; it stops working at once and stays listed
+app.delete('/api/admin/api-keys/:id', requireRole('admin'), validateRequest, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE api_keys SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) WHERE id = $1 RETURNING id
+    `, [parseIdParam(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    logger.info('API key revoked', { api_key_id: result.rows[0].id });
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error revoking API key', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Changes after `since` (a change id) in the order they were made. Start from 0 to read the whole
+// log, then pass next_since to the next call.
+app.get('/api/changes', validateRequest, async (req, res) => {
+  const since = parseInt(req.query.since) || 0;
+  const limit = Math.min(parseInt(req.query.limit) || 100, CHANGES_PAGE_LIMIT);
+  
+  try {
+    const changes = await fetchChanges(since, limit + 1);
+    const data = changes.slice(0, limit);
+    res.json({
+      data,
+      next_since: data.length > 0 ? data[data.length - 1].id : since,
+      has_more: changes.length > limit
+    });
+  } catch (err) {
+    logger.error('Error fetching changes', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Server-Sent Events stream of changes. A reconnecting EventSource sends Last-Event-ID and picks
+// up where it left off; otherwise the stream starts after `since`, or with the next change.
+app.get('/api/changes/stream', validateRequest, async (req, res) => {
+  const lastEventId = req.get('Last-Event-ID');
+  let since = null;
+  if (/^\d+$/.test(lastEventId || '')) {
+    since = parseInt(lastEventId);
+  } else if (req.query.since !== undefined && req.query.since !== '') {
+    since = parseInt(req.query.since);
+  }
+  
+  try {
+    if (since === null) {
+      const result = await pool.query('SELECT COALESCE(MAX(id), 0) AS id FROM recipe_changes');
+      since = result.rows[0].id;
+    }
+  } catch (err) {
+    logger.error('Error opening change stream', { error: err });
+    return res.status(500).json({ error: 'Internal server error' });
+  }
+  
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+  req.on('close', openChangeStream(res, since));
+  pollChangeStreams();
+});
+
+// Webhooks with their queued and failed deliveries; secrets are only returned when set
+const webhookSelectSql = (where) => `
+  SELECT w.id, w.url, w.events, w.active, w.created_by, w.created_at,
+    COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_deliveries,
+    COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_deliveries,
+    MAX(d.delivered_at) AS last_delivered_at
+  FROM webhooks w
+  LEFT JOIN webhook_deliveries d ON d.webhook_id = w.id
+  ${where}
+  GROUP BY w.id
+  ORDER BY w.id
+`;
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+app.get('/api/admin/webhooks', requireRole('admin'), async (req, res) => {
+  try {
+    const result = await pool.query(webhookSelectSql(''));
+    res.json({ data: result.rows });
+  } catch (err) {
+    logger.error('Error fetching webhooks', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Register a webhook for `events` (every event when empty). The secret signing its deliveries is
+// generated unless one is given, and returned this once.
+app.post('/api/admin/webhooks', requireRole('admin'), validateRequest, async (req, res) => {
+  const { url, events = [], secret = generateWebhookSecret() } = req.body;
+  try {
+    const result = await pool.query(
+      'INSERT INTO webhooks (url, events, secret, created_by) VALUES ($1, $2, $3, $4) RETURNING id',
+      [url, events, secret, req.user.id]
+    );
+    const created = await pool.query(webhookSelectSql('WHERE w.id = $1'), [result.rows[0].id]);
+    logger.info('Webhook registered', { webhook_id: result.rows[0].id, url });
+    res.status(201).json({ ...created.rows[0], secret });
+  } catch (err) {
+    logger.error('Error creating webhook', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Change a webhook's URL, events or secret, or pause it with active: false. Deliveries queued
+// while it is paused are sent once it is active again.
+app.patch('/api/admin/webhooks/:id', requireRole('admin'), validateRequest, async (req, res) => {
+  const updates = ['url', 'events', 'secret', 'active'].filter(field => req.body[field] !== undefined);
+  const assignments = updates.map((field, index) => `${field} = $${index + 2}`);
+  
+  try {
+    const result = await pool.query(assignments.length > 0
+      ? `UPDATE webhooks SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`
+      : 'SELECT id FROM webhooks WHERE id = $1', [parseIdParam(req.params.id), ...updates.map(field => req.body[field])]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const updated = await pool.query(webhookSelectSql('WHERE w.id = $1'), [result.rows[0].id]);
+    res.json(updated.rows[0]);
+  } catch (err) {
+    logger.error('Error updating webhook', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.delete('/api/admin/webhooks/:id', requireRole('admin'), validateRequest, async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM webhooks WHERE id = $1 RETURNING id', [parseIdParam(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    res.status(204).end();
+  } catch (err) {
+    logger.error('Error deleting webhook', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const DELIVERY_SELECT_SQL = `
+  SELECT d.id, d.change_id, c.event, c.recipe_id, d.status, d.attempts, d.response_status, d.last_error,
+    d.next_attempt_at, d.delivered_at, d.created_at
+  FROM webhook_deliveries d
+  JOIN recipe_changes c ON c.id = d.change_id
+`;
+
+// A webhook's deliveries, most recent first, optionally only those with one status
+app.get('/api/admin/webhooks/:id/deliveries', requireRole('admin'), validateRequest, async (req, res) => {
+  const id = parseIdParam(req.params.id);
+  const page = parseInt(req.query.page) || 1;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const queryParams = [id, limit, (page - 1) * limit];
+  let statusCondition = '';
+  if (req.query.status) {
+    queryParams.push(req.query.status);
+    statusCondition = `AND d.status = $${queryParams.length}`;
+  }
+  
+  try {
+    const webhook = await pool.query('SELECT id FROM webhooks WHERE id = $1', [id]);
+    if (webhook.rows.length === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+    const result = await pool.query(`
+      ${DELIVERY_SELECT_SQL}
+      WHERE d.webhook_id = $1 ${statusCondition}
+      ORDER BY d.id DESC
+      LIMIT $2 OFFSET $3
+    `, queryParams);
+    res.json({ page, limit, data: result.rows });
+  } catch (err) {
+    logger.error('Error fetching webhook deliveries', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send a delivery again now, e.g. one that failed every attempt while the receiver was down
+app.post('/api/admin/webhooks/:id/deliveries/:deliveryId/retry', requireRole('admin'), validateRequest, async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE webhook_deliveries SET status = 'pending', next_attempt_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND webhook_id = $2 AND status <> 'delivered'
+      RETURNING id
+    `, [parseIdParam(req.params.deliveryId), parseIdParam(req.params.id)]);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No undelivered delivery with this id' });
+    }
+    const delivery = await pool.query(`${DELIVERY_SELECT_SQL} WHERE d.id = $1`, [result.rows[0].id]);
+    deliverWebhooks();
+    res.status(202).json(delivery.rows[0]);
+  } catch (err) {
+    logger.error('Error retrying webhook delivery', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// API documentation
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+const jsonResponse = (description, schema) => ({ description, content: jsonContent(schema) });
+const errorResponse = (description, schema = 'Error') => jsonResponse(description, schemaRef(schema));
+const pathId = (name = 'id') => ({ name, in: 'path', required: true, schema: { type: 'integer', minimum: 1 } });
+const queryParameter = (name, schema, description) => ({ name, in: 'query', description, schema });
+
+// A limit above the maximum is lowered to it by the handler rather than rejected, as it was
+// before requests were validated
+const limitParameter = (defaultLimit, maxLimit, description) =>
+  queryParameter('limit', { type: 'integer', minimum: 1, default: defaultLimit }, `${description}, at most ${maxLimit}; larger values are lowered to ${maxLimit}`);
+
+const pageParameters = (defaultLimit, maxLimit) => [
+  queryParameter('page', { type: 'integer', minimum: 1, default: 1 }, 'Page number'),
+  limitParameter(defaultLimit, maxLimit, 'Results per page')
+];
+
+// Numeric filters on columns and on nutrients by their short name; any nutrient key is also
+// accepted as `<key>` or `nutrients.<key>`, which a parameter list cannot spell out
+const NUMERIC_FILTER_PARAMETERS = [
+  ...Object.keys(NUMERIC_COLUMN_FILTERS),
+  ...Object.keys(NUTRIENT_UNITS).map(key => key.replace(/Content$/, ''))
+].map(name => queryParameter(name, { type: 'string' },
+  'Comparisons such as ">=4.5", "<=500mg" or "1h", or a range "4..5". Comma-separated comparisons must all match.'));
+
+const SEARCH_FILTER_PARAMETERS = [
+  queryParameter('q', { type: 'string' }, 'Full-text search over title, cuisine and description: words, "quoted phrases", prefix* and -excluded words'),
+  queryParameter('title', { type: 'string' }, 'Title contains this text'),
+  queryParameter('cuisine', { type: 'string' }, 'Cuisine contains this text'),
+  queryParameter('ingredients', { type: 'string' }, 'Comma-separated ingredients to require, or to exclude with a leading "!"'),
+  queryParameter('tags', { type: 'string' }, `Comma-separated tags to require, or to exclude with a leading "!". Tags: ${Object.keys(TAG_RULES).join(', ')}`),
+  ...NUMERIC_FILTER_PARAMETERS
+];
+
+const SORT_PARAMETERS = [
+  queryParameter('sort', { type: 'string' }, `Comma-separated fields, each optionally followed by ":asc" or ":desc" or preceded by "-": ${Object.keys(SORT_FIELDS).join(', ')}`),
+  queryParameter('rating_weight', { type: 'number', minimum: 0, maximum: 1, default: 0 }, 'Share of the relevance score taken by rating when searching with q')
+];
+
+const LISTING_PARAMETERS = [
+  ...pageParameters(10, 50),
+  ...SORT_PARAMETERS,
+  queryParameter('cursor', { type: 'string' }, 'next_cursor or prev_cursor of a previous page, for keyset pagination'),
+  queryParameter('count', { type: 'boolean', default: true }, 'false skips counting the total')
+];
+
+const FACETS_PARAMETER = queryParameter('facets', { type: 'string' }, `"all" or comma-separated facets to count: ${FACET_NAMES.join(', ')}`);
+
+const NUMERIC_TEXT_PATTERN = '^\\s*(NaN|[-+]?(\\d+\\.?\\d*|\\.\\d+)([eE][-+]?\\d+)?)\\s*$';
+
+// Schema of a writable recipe field; see RECIPE_FIELDS and cleanRecipeField. Like imported
+// data, numbers may be sent as text and "NaN" stands for a missing value.
+const recipeFieldSchema = ({ type, min, max, maxLength }) => {
+  if (type === 'string') return { type: ['string', 'null'], maxLength };
+  if (type === 'float' || type === 'integer') {
+    return { type: [type === 'float' ? 'number' : 'integer', 'string', 'null'], minimum: min, maximum: max, pattern: NUMERIC_TEXT_PATTERN };
+  }
+  if (type === 'object') return { type: ['object', 'null'], additionalProperties: { type: ['string', 'number', 'null'] } };
+  if (type === 'steps') return { type: ['array', 'null'], items: { type: ['string', 'null'] } };
+  return { type: ['array', 'null'], items: schemaRef('IngredientInput') };
+};
+
+const recipeInputSchema = (partial) => ({
+  type: 'object',
+  properties: {
+    ...Object.fromEntries(Object.entries(RECIPE_FIELDS).map(([field, rules]) => [field, recipeFieldSchema(rules)])),
+    ...Object.fromEntries(READ_ONLY_RECIPE_FIELDS.map(field => [field, { readOnly: true, description: 'Ignored on write' }]))
+  },
+  required: partial ? [] : Object.keys(RECIPE_FIELDS).filter(field => RECIPE_FIELDS[field].required),
+  additionalProperties: false
+});
+
+const mealPlanInputSchema = (partial) => ({
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    start_date: { type: 'string', format: 'date' },
+    days: { type: 'integer', minimum: 1, maximum: 31, default: 7 },
+    targets: { type: 'object', additionalProperties: { type: 'number', exclusiveMinimum: 0 }, description: 'Daily nutrient limits in the units of NUTRIENT_UNITS, e.g. { "calories": 2000 }' }
+  },
+  required: partial ? [] : ['name', 'start_date']
+});
+
+const apiKeyInputSchema = (partial) => ({
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: 100 },
+    ...(!partial && { user_id: { type: 'integer', minimum: 1, description: 'User the key acts as; defaults to the caller' } }),
+    rate_limit: { type: ['integer', 'null'], minimum: 1, description: `Requests per minute; null uses the default (${API_KEY_RATE_LIMIT})` },
+    daily_quota: { type: ['integer', 'null'], minimum: 1, description: `Requests per UTC day; null uses the default (${API_KEY_DAILY_QUOTA})` }
+  },
+  required: partial ? [] : ['name']
+});
+
+const webhookInputSchema = (partial) => ({
+  type: 'object',
+  properties: {
+    url: { type: 'string', format: 'uri', description: 'Receives a POST of each change as a Change object' },
+    events: { type: 'array', items: { type: 'string', enum: CHANGE_EVENTS }, uniqueItems: true, description: 'Events to send; every event when empty' },
+    secret: { type: 'string', minLength: 16, maxLength: 100, description: partial ? 'A new signing secret' : 'Signing secret; generated when omitted' },
+    ...(partial && { active: { type: 'boolean', description: 'false pauses deliveries' } })
+  },
+  required: partial ? [] : ['url'],
+  additionalProperties: false
+});
+
+// The query of a saved search holds search parameters by name; nutrient keys not listed are
+// checked by validateSavedSearch
+const savedSearchInputSchema = (partial) => ({
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, maxLength: SAVED_SEARCH_NAME_MAX_LENGTH },
+    query: {
+      type: 'object',
+      properties: Object.fromEntries([...SEARCH_FILTER_PARAMETERS, ...SORT_PARAMETERS].map(({ name, schema, description }) => [name, { ...schema, description }])),
+      additionalProperties: { type: 'string' },
+      description: 'Filters and sort as sent to GET /api/recipes/search'
+    },
+    notify: { type: 'boolean', description: 'Count recipes added since the search was last run as new_matches' }
+  },
+  required: partial ? [] : ['name'],
+  additionalProperties: false
+});
+
+const OPENAPI_SCHEMAS = {
+  Error: { type: 'object', properties: { error: { type: 'string' } }, required: ['error'] },
+  ValidationError: {
+    type: 'object',
+    properties: {
+      error: { type: 'string', const: 'Validation failed' },
+      fields: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: { field: { type: ['string', 'null'] }, message: { type: 'string' } },
+          required: ['field', 'message']
+        }
+      }
+    },
+    required: ['error', 'fields']
+  },
+  RateLimited: {
+    type: 'object',
+    properties: { error: { type: 'string' }, retry_after: { type: 'integer', description: 'Seconds until a request may succeed, as in Retry-After' } },
+    required: ['error', 'retry_after']
+  },
+  Ingredient: {
+    type: 'object',
+    properties: {
+      quantity: { type: ['number', 'null'] },
+      unit: { type: ['string', 'null'] },
+      name: { type: 'string' },
+      text: { type: 'string' }
+    }
+  },
+  IngredientInput: {
+    type: ['string', 'object', 'null'],
+    description: 'A line such as "1 1/2 cups flour, sifted", or its parts',
+    properties: {
+      quantity: { type: ['number', 'string', 'null'], minimum: 0, pattern: NUMERIC_TEXT_PATTERN },
+      unit: { type: ['string', 'null'] },
+      name: { type: 'string', minLength: 1 },
+      text: { type: 'string' }
+    },
+    required: ['name']
+  },
+  Recipe: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      title: { type: 'string' },
+      cuisine: { type: ['string', 'null'] },
+      rating: { type: ['number', 'null'], description: 'Average review score, or the source rating while there are no reviews' },
+      source_rating: { type: ['number', 'null'] },
+      review_count: { type: 'integer' },
+      prep_time: { type: ['integer', 'null'] },
+      cook_time: { type: ['integer', 'null'] },
+      total_time: { type: ['integer', 'null'] },
+      description: { type: ['string', 'null'] },
+      nutrients: { type: 'object', additionalProperties: { type: ['string', 'number'] } },
+      nutrition: { type: ['object', 'null'], description: 'Nutrients parsed into { value, unit }' },
+      serves: { type: ['string', 'null'] },
+      servings: { type: ['number', 'null'] },
+      tags: { type: 'array', items: { type: 'string' } },
+      ingredients: { type: 'array', items: schemaRef('Ingredient') },
+      instructions: { type: 'array', items: { type: 'string' } },
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  RecipeInput: recipeInputSchema(false),
+  RecipePatch: recipeInputSchema(true),
+  RecipePage: {
+    type: 'object',
+    properties: {
+      page: { type: ['integer', 'null'], description: 'null for keyset pages' },
+      limit: { type: 'integer' },
+      total: { type: ['integer', 'null'], description: 'null with count=false' },
+      sort: { type: 'string' },
+      next_cursor: { type: ['string', 'null'] },
+      prev_cursor: { type: ['string', 'null'] },
+      data: { type: 'array', items: schemaRef('Recipe') },
+      facets: { type: 'object' }
+    }
+  },
+  Credentials: {
+    type: 'object',
+    properties: { email: { type: 'string', format: 'email', maxLength: 255 }, password: { type: 'string', minLength: 8 } },
+    required: ['email', 'password']
+  },
+  User: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      email: { type: 'string' },
+      role: { type: 'string', enum: ROLES },
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  Session: {
+    type: 'object',
+    properties: {
+      user: schemaRef('User'),
+      access_token: { type: 'string' },
+      refresh_token: { type: 'string' }
+    }
+  },
+  RefreshToken: { type: 'object', properties: { refresh_token: { type: 'string' } } },
+  ReviewInput: {
+    type: 'object',
+    properties: {
+      score: { type: 'integer', minimum: 1, maximum: 5 },
+      text: { type: ['string', 'null'], maxLength: REVIEW_TEXT_MAX_LENGTH }
+    },
+    required: ['score']
+  },
+  CollectionInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: COLLECTION_NAME_MAX_LENGTH },
+      description: { type: ['string', 'null'] }
+    },
+    required: ['name']
+  },
+  MealPlanInput: mealPlanInputSchema(false),
+  MealPlanPatch: mealPlanInputSchema(true),
+  GenerateOptions: {
+    type: 'object',
+    properties: {
+      ...mealPlanInputSchema(true).properties,
+      meals: {
+        type: ['integer', 'array'],
+        minimum: 1,
+        maximum: MEALS.length,
+        items: { type: 'string', enum: MEALS },
+        minItems: 1,
+        uniqueItems: true,
+        default: 3,
+        description: `A number of meals a day (the first of ${MEALS.join(', ')}) or a list of them`
+      },
+      calories: {
+        type: 'object',
+        properties: { min: { type: 'number', exclusiveMinimum: 0 }, max: { type: 'number', exclusiveMinimum: 0 } },
+        minProperties: 1,
+        description: 'Daily calorie range'
+      },
+      max_total_time: { type: 'number', exclusiveMinimum: 0 },
+      cuisines: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+      exclude_cuisines: { type: 'array', items: { type: 'string', minLength: 1 }, minItems: 1 },
+      no_repeat_days: { type: 'integer', minimum: 1, maximum: 31, default: 7 },
+      seed: { type: 'integer', minimum: 0, maximum: 0xFFFFFFFF },
+      dry_run: { type: 'boolean', default: false }
+    }
+  },
+  SavedSearch: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      query: { type: 'object' },
+      notify: { type: 'boolean' },
+      new_matches: { type: ['integer', 'null'], description: 'Recipes added since the last run that match; null unless notify is set' },
+      last_run_at: { type: ['string', 'null'], format: 'date-time' },
+      created_at: { type: 'string', format: 'date-time' },
+      updated_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  SavedSearchInput: savedSearchInputSchema(false),
+  SavedSearchPatch: savedSearchInputSchema(true),
+  ApiKey: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      prefix: { type: 'string', description: 'First characters of the key' },
+      user_id: { type: 'integer' },
+      user_email: { type: 'string' },
+      rate_limit: { type: ['integer', 'null'] },
+      daily_quota: { type: ['integer', 'null'] },
+      requests_today: { type: 'integer' },
+      created_at: { type: 'string', format: 'date-time' },
+      revoked_at: { type: ['string', 'null'], format: 'date-time' },
+      key: { type: 'string', description: 'The key itself; only returned when it is created' }
+    }
+  },
+  ApiKeyInput: apiKeyInputSchema(false),
+  ApiKeyPatch: apiKeyInputSchema(true),
+  Change: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer', description: 'Increases with every change' },
+      event: { type: 'string', enum: CHANGE_EVENTS },
+      recipe_id: { type: ['integer', 'null'], description: 'null for import.completed' },
+      source: { type: 'string', enum: ['api', 'import', 'review'] },
+      data: { type: 'object', description: 'title for recipe events, with the fields written by an update; dataset and counts for import.completed' },
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  },
+  Webhook: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      url: { type: 'string' },
+      events: { type: 'array', items: { type: 'string', enum: CHANGE_EVENTS } },
+      active: { type: 'boolean' },
+      created_by: { type: ['integer', 'null'] },
+      created_at: { type: 'string', format: 'date-time' },
+      pending_deliveries: { type: 'integer' },
+      failed_deliveries: { type: 'integer' },
+      last_delivered_at: { type: ['string', 'null'], format: 'date-time' },
+      secret: { type: 'string', description: 'Only returned when the webhook is created' }
+    }
+  },
+  WebhookInput: webhookInputSchema(false),
+  WebhookPatch: webhookInputSchema(true),
+  WebhookDelivery: {
+    type: 'object',
+    properties: {
+      id: { type: 'integer' },
+      change_id: { type: 'integer' },
+      event: { type: 'string' },
+      recipe_id: { type: ['integer', 'null'] },
+      status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+      attempts: { type: 'integer' },
+      response_status: { type: ['integer', 'null'] },
+      last_error: { type: ['string', 'null'] },
+      next_attempt_at: { type: 'string', format: 'date-time' },
+      delivered_at: { type: ['string', 'null'], format: 'date-time' },
+      created_at: { type: 'string', format: 'date-time' }
+    }
+  }
+};
+
+// An operation with the error responses that apply to it. `role` marks it as needing a
+// signed-in user (Bearer token or API key) with that role or a higher one. `body` is the
+// schema of a JSON body; `content` replaces it for other media types.
+const operation = (tag, summary, { description, role, parameters = [], body, content, bodyRequired = true, responses }) => ({
+  tags: [tag],
+  summary,
+  description: [role && `Requires the ${role} role.`, description].filter(Boolean).join(' ') || undefined,
+  security: role ? [{ bearerAuth: [] }, { apiKey: [] }] : undefined,
+  parameters,
+  requestBody: (body || content) && { required: bodyRequired, content: content || jsonContent(body) },
+  responses: {
+    ...responses,
+    ...((parameters.length > 0 || body || content) && { 400: errorResponse('Invalid parameters or body', 'ValidationError') }),
+    ...(role && { 401: errorResponse('Missing, invalid or expired credentials'), 403: errorResponse(`Requires the ${role} role`) }),
+    429: {
+      description: 'Rate limit or daily quota exceeded',
+      headers: { 'Retry-After': { description: 'Seconds to wait before retrying', schema: { type: 'integer' } } },
+      content: jsonContent(schemaRef('RateLimited'))
+    }
+  }
+});
+
+const ok = (schema, description = 'OK') => ({ 200: jsonResponse(description, schema) });
+const created = (schema) => ({ 201: jsonResponse('Created', schema) });
+const noContent = { 204: { description: 'Done' } };
+const notFound = (what) => ({ 404: errorResponse(`${what} not found`) });
+const listOf = (schema) => ({ type: 'object', properties: { data: { type: 'array', items: schema } } });
+const object = { type: 'object' };
+
+// Checked against the plan by parseSlotParams, which reports both at once
+const SLOT_PARAMETERS = [
+  pathId(),
+  { name: 'day', in: 'path', required: true, schema: { type: 'string' }, description: 'From 0 to the last day of the plan' },
+  { name: 'meal', in: 'path', required: true, schema: { type: 'string' }, description: `One of ${MEALS.join(', ')}` }
+];
+
+const statsOperation = (summary, extra = []) => ({
+  get: operation('Statistics', summary, {
+    description: 'Over the recipes matching the search filters, or every recipe when none are given.',
+    parameters: [...SEARCH_FILTER_PARAMETERS, ...extra],
+    responses: ok(object)
+  })
+});
+
+const OPENAPI_DOCUMENT = {
+  openapi: '3.1.0',
+  info: {
+    title: 'Recipe API',
+    version: '1.0.0',
+    description: 'Recipes with search, reviews, collections and meal plans. Invalid parameters and bodies get a 400 ' +
+      'response listing every problem as { field, message }. Requests sent with an API key are rate limited per ' +
+      'minute and per UTC day and get 429 with Retry-After once over a limit.'
+  },
+  servers: [{ url: '/' }],
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Access token from /api/auth/login' },
+      apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Key issued through /api/admin/api-keys' }
+    },
+    schemas: OPENAPI_SCHEMAS
+  },
+  paths: {
+    '/api/auth/register': {
+      post: operation('Auth', 'Register a viewer account', {
+        body: schemaRef('Credentials'),
+        responses: { ...created(schemaRef('Session')), 409: errorResponse('An account with this email already exists') }
+      })
+    },
+    '/api/auth/login': {
+      post: operation('Auth', 'Exchange an email and password for tokens', {
+        body: { type: 'object', properties: { email: { type: 'string' }, password: { type: 'string' } }, required: ['email', 'password'] },
+        responses: { ...ok(schemaRef('Session')), 401: errorResponse('Invalid email or password') }
+      })
+    },
+    '/api/auth/refresh': {
+      post: operation('Auth', 'Rotate a refresh token', {
+        body: { ...OPENAPI_SCHEMAS.RefreshToken, required: ['refresh_token'] },
+        responses: { ...ok(schemaRef('Session')), 401: errorResponse('Invalid or expired refresh token') }
+      })
+    },
+    '/api/auth/logout': {
+      post: operation('Auth', 'Revoke a refresh token', { body: schemaRef('RefreshToken'), bodyRequired: false, responses: noContent })
+    },
+    '/api/auth/me': {
+      get: operation('Auth', 'Current user', { role: 'viewer', responses: ok(schemaRef('User')) })
+    },
+    '/api/users': {
+      get: operation('Users', 'List users', { role: 'admin', responses: ok(listOf(schemaRef('User'))) })
+    },
+    '/api/users/{id}/role': {
+      patch: operation('Users', "Change a user's role", {
+        role: 'admin',
+        parameters: [pathId()],
+        body: { type: 'object', properties: { role: { type: 'string', enum: ROLES } }, required: ['role'] },
+        responses: { ...ok(schemaRef('User')), ...notFound('User') }
+      })
+    },
+    '/api/recipes': {
+      get: operation('Recipes', 'List recipes', { parameters: LISTING_PARAMETERS, responses: ok(schemaRef('RecipePage')) }),
+      post: operation('Recipes', 'Create a recipe', { role: 'editor', body: schemaRef('RecipeInput'), responses: created(schemaRef('Recipe')) })
+    },
+    '/api/recipes/search': {
+      get: operation('Recipes', 'Search recipes', {
+        parameters: [
+          ...SEARCH_FILTER_PARAMETERS,
+          ...LISTING_PARAMETERS,
+          FACETS_PARAMETER
+        ],
+        responses: ok(schemaRef('RecipePage'))
+      })
+    },
+    '/api/tags': {
+      get: operation('Recipes', 'Dietary tags with their rules and recipe counts', { responses: ok(listOf(object)) })
+    },
+    '/api/stats': statsOperation('Totals, averages and tag counts'),
+    '/api/stats/cuisines': statsOperation('Recipe count and averages per cuisine', [
+      limitParameter(20, CUISINE_FACET_LIMIT, 'Cuisines to list')
+    ]),
+    '/api/stats/distributions': statsOperation('Histograms of rating, total time and calories'),
+    '/api/stats/completeness': statsOperation('How many recipes have each field filled in'),
+    '/api/stats/top': statsOperation('Top rated, most reviewed and quickest recipes and the most common ingredients', [
+      limitParameter(10, STATS_TOP_LIMIT, 'Length of each list')
+    ]),
+    '/api/recipes/export': {
+      get: operation('Recipes', 'Export every recipe matching the search filters', {
+        parameters: [
+          queryParameter('format', { type: 'string', enum: EXPORT_FORMATS, default: 'csv' }, 'File format'),
+          ...SEARCH_FILTER_PARAMETERS,
+          ...SORT_PARAMETERS
+        ],
+        responses: {
+          200: { description: 'The recipes', content: { 'text/csv': { schema: { type: 'string' } }, 'application/x-ndjson': { schema: { type: 'string' } } } }
+        }
+      })
+    },
+    '/api/recipes/{id}': {
+      get: operation('Recipes', 'Get a recipe with its ingredients and instructions', {
+        parameters: [
+          pathId(),
+          queryParameter('servings', { type: 'number', exclusiveMinimum: 0, maximum: MAX_SCALED_SERVINGS }, 'Adds quantities and nutrient totals scaled to this many servings')
+        ],
+        responses: { ...ok(schemaRef('Recipe')), ...notFound('Recipe') }
+      }),
+      put: operation('Recipes', 'Replace a recipe', {
+        role: 'editor',
+        parameters: [pathId()],
+        body: schemaRef('RecipeInput'),
+        responses: { ...ok(schemaRef('Recipe')), ...notFound('Recipe') }
+      }),
+      patch: operation('Recipes', 'Update the fields sent', {
+        role: 'editor',
+        parameters: [pathId()],
+        body: schemaRef('RecipePatch'),
+        responses: { ...ok(schemaRef('Recipe')), ...notFound('Recipe') }
+      }),
+      delete: operation('Recipes', 'Delete a recipe', { role: 'editor', parameters: [pathId()], responses: { ...noContent, ...notFound('Recipe') } })
+    },
+    '/api/recipes/{id}/export': {
+      get: operation('Recipes', 'Export a recipe as JSON-LD, a printable HTML card or a PDF', {
+        parameters: [
+          pathId(),
+          queryParameter('format', { type: 'string', enum: RECIPE_EXPORT_FORMATS, default: 'jsonld' }, 'File format'),
+          queryParameter('download', { type: 'boolean', default: false }, 'Ask the browser to save the file')
+        ],
+        responses: {
+          200: {
+            description: 'The recipe',
+            content: {
+              'application/ld+json': { schema: object },
+              'text/html': { schema: { type: 'string' } },
+              'application/pdf': { schema: { type: 'string', format: 'binary' } }
+            }
+          },
+          ...notFound('Recipe')
+        }
+      })
+    },
+    '/api/recipes/{id}/similar': {
+      get: operation('Recipes', 'Recipes similar to a recipe', {
+        parameters: [
+          pathId(),
+          limitParameter(6, 20, 'Results to return'),
+          queryParameter('exclude_cuisine', { type: 'string' }, 'Comma-separated cuisines to leave out'),
+          ...NUMERIC_FILTER_PARAMETERS
+        ],
+        responses: { ...ok(object), ...notFound('Recipe') }
+      })
+    },
+    '/api/recipes/{id}/reviews': {
+      get: operation('Reviews', "List a recipe's reviews", {
+        parameters: [pathId(), ...pageParameters(10, 50)],
+        responses: { ...ok(object), ...notFound('Recipe') }
+      }),
+      post: operation('Reviews', "Add or replace the caller's review", {
+        role: 'viewer',
+        parameters: [pathId()],
+        body: schemaRef('ReviewInput'),
+        responses: { ...ok(object), ...created(object), ...notFound('Recipe') }
+      })
+    },
+    '/api/recipes/{id}/reviews/{reviewId}': {
+      delete: operation('Reviews', 'Delete a review (its author or an admin)', {
+        role: 'viewer',
+        parameters: [pathId(), pathId('reviewId')],
+        responses: { ...noContent, ...notFound('Review') }
+      })
+    },
+    '/api/favorites/ids': {
+      get: operation('Favorites', 'Ids of the recipes the caller has favorited', { role: 'viewer', responses: ok(object) })
+    },
+    '/api/favorites': {
+      get: operation('Favorites', "The caller's favorite recipes", { role: 'viewer', parameters: LISTING_PARAMETERS, responses: ok(schemaRef('RecipePage')) })
+    },
+    '/api/favorites/{recipeId}': {
+      put: operation('Favorites', 'Favorite a recipe', { role: 'viewer', parameters: [pathId('recipeId')], responses: { ...noContent, ...notFound('Recipe') } }),
+      delete: operation('Favorites', 'Remove a favorite', { role: 'viewer', parameters: [pathId('recipeId')], responses: noContent })
+    },
+    '/api/collections': {
+      get: operation('Collections', "The caller's collections", { role: 'viewer', responses: ok(listOf(object)) }),
+      post: operation('Collections', 'Create a collection', { role: 'viewer', body: schemaRef('CollectionInput'), responses: created(object) })
+    },
+    '/api/collections/order': {
+      put: operation('Collections', 'Reorder the collections', {
+        role: 'viewer',
+        body: { type: 'object', properties: { ids: { type: 'array', items: { type: 'integer' } } }, required: ['ids'] },
+        responses: ok(listOf(object))
+      })
+    },
+    '/api/collections/{id}': {
+      get: operation('Collections', 'A collection with its recipes', { role: 'viewer', parameters: [pathId()], responses: { ...ok(object), ...notFound('Collection') } }),
+      patch: operation('Collections', 'Rename a collection or change its description', {
+        role: 'viewer',
+        parameters: [pathId()],
+        body: { ...OPENAPI_SCHEMAS.CollectionInput, required: [] },
+        responses: { ...ok(object), ...notFound('Collection') }
+      }),
+      delete: operation('Collections', 'Delete a collection', { role: 'viewer', parameters: [pathId()], responses: { ...noContent, ...notFound('Collection') } })
+    },
+    '/api/collections/{id}/recipes': {
+      post: operation('Collections', 'Add a recipe to a collection', {
+        role: 'viewer',
+        parameters: [pathId()],
+        body: { type: 'object', properties: { recipe_id: { type: 'integer', minimum: 1 } }, required: ['recipe_id'] },
+        responses: { ...created(object), ...notFound('Collection or recipe') }
+      })
+    },
+    '/api/collections/{id}/recipes/order': {
+      put: operation('Collections', 'Reorder the recipes of a collection', {
+        role: 'viewer',
+        parameters: [pathId()],
+        body: { type: 'object', properties: { recipe_ids: { type: 'array', items: { type: 'integer' } } }, required: ['recipe_ids'] },
+        responses: { ...ok(object), ...notFound('Collection') }
+      })
+    },
+    '/api/collections/{id}/recipes/{recipeId}': {
+      delete: operation('Collections', 'Remove a recipe from a collection', {
+        role: 'viewer',
+        parameters: [pathId(), pathId('recipeId')],
+        responses: { ...noContent, ...notFound('Collection') }
+      })
+    },
+    '/api/collections/{id}/share': {
+      post: operation('Collections', 'Create a read-only share link', { role: 'viewer', parameters: [pathId()], responses: { ...ok(object), ...notFound('Collection') } }),
+      delete: operation('Collections', 'Revoke the share link', { role: 'viewer', parameters: [pathId()], responses: { ...noContent, ...notFound('Collection') } })
+    },
+    '/api/shared/collections/{token}': {
+      get: operation('Collections', 'A shared collection', {
+        parameters: [{ name: 'token', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: { ...ok(object), ...notFound('Shared collection') }
+      })
+    },
+    '/api/meal-plans': {
+      get: operation('Meal plans', "The caller's meal plans", { role: 'viewer', responses: ok(listOf(object)) }),
+      post: operation('Meal plans', 'Create a meal plan', { role: 'viewer', body: schemaRef('MealPlanInput'), responses: created(object) })
+    },
+    '/api/meal-plans/generate': {
+      post: operation('Meal plans', 'Generate a meal plan meeting calorie, time and cuisine constraints', {
+        role: 'viewer',
+        body: schemaRef('GenerateOptions'),
+        bodyRequired: false,
+        responses: { ...created(object), ...ok(object, 'The plan that would be created, with dry_run'), 422: errorResponse('No recipes meet the constraints') }
+      })
+    },
+    '/api/meal-plans/{id}': {
+      get: operation('Meal plans', 'A meal plan with its slots', { role: 'viewer', parameters: [pathId()], responses: { ...ok(object), ...notFound('Meal plan') } }),
+      patch: operation('Meal plans', "Update a plan's name, dates or targets", {
+        role: 'viewer',
+        parameters: [pathId()],
+        body: schemaRef('MealPlanPatch'),
+        responses: { ...ok(object), ...notFound('Meal plan') }
+      }),
+      delete: operation('Meal plans', 'Delete a meal plan', { role: 'viewer', parameters: [pathId()], responses: { ...noContent, ...notFound('Meal plan') } })
+    },
+    '/api/meal-plans/{id}/slots/{day}/{meal}': {
+      put: operation('Meal plans', 'Put a recipe in a slot', {
+        role: 'viewer',
+        parameters: SLOT_PARAMETERS,
+        body: {
+          type: 'object',
+          properties: {
+            recipe_id: { type: 'integer', minimum: 1 },
+            servings: { type: 'number', exclusiveMinimum: 0, maximum: MAX_SCALED_SERVINGS, default: 1 }
+          },
+          required: ['recipe_id']
+        },
+        responses: { ...ok(object), ...notFound('Meal plan or recipe') }
+      }),
+      delete: operation('Meal plans', 'Clear a slot', {
+        role: 'viewer',
+        parameters: SLOT_PARAMETERS,
+        responses: { ...noContent, ...notFound('Meal plan') }
+      })
+    },
+    '/api/meal-plans/{id}/summary': {
+      get: operation('Meal plans', 'Nutrient totals per day against the targets', { role: 'viewer', parameters: [pathId()], responses: { ...ok(object), ...notFound('Meal plan') } })
+    },
+    '/api/saved-searches': {
+      get: operation('Saved searches', "The caller's saved searches with their new matches", { role: 'viewer', responses: ok(listOf(schemaRef('SavedSearch'))) }),
+      post: operation('Saved searches', 'Save a search', {
+        role: 'viewer',
+        body: schemaRef('SavedSearchInput'),
+        responses: { ...created(schemaRef('SavedSearch')), 409: errorResponse('A saved search with this name already exists, or the caller already has the most allowed') }
+      })
+    },
+    '/api/saved-searches/{id}': {
+      patch: operation('Saved searches', 'Rename a saved search, change its query or its notifications', {
+        role: 'viewer',
+        parameters: [pathId()],
+        body: schemaRef('SavedSearchPatch'),
+        responses: { ...ok(schemaRef('SavedSearch')), ...notFound('Saved search'), 409: errorResponse('A saved search with this name already exists') }
+      }),
+      delete: operation('Saved searches', 'Delete a saved search', { role: 'viewer', parameters: [pathId()], responses: { ...noContent, ...notFound('Saved search') } })
+    },
+    '/api/saved-searches/{id}/run': {
+      post: operation('Saved searches', 'Run a saved search', {
+        role: 'viewer',
+        description: 'Answers like GET /api/recipes/search and marks the current matches as seen.',
+        parameters: [
+          pathId(),
+          ...pageParameters(10, 50),
+          ...LISTING_PARAMETERS.filter(({ name }) => ['cursor', 'count'].includes(name)),
+          FACETS_PARAMETER
+        ],
+        responses: { ...ok(schemaRef('RecipePage')), ...notFound('Saved search') }
+      })
+    },
+    '/api/admin/import': {
+      post: operation('Admin', 'Import recipes from a file in the server directory or from the body', {
+        role: 'admin',
+        description: 'Send exactly one of file and recipes.',
+        body: {
+          type: 'object',
+          properties: {
+            file: { type: 'string', description: 'Path relative to the server directory' },
+            recipes: { type: ['object', 'array'], description: 'Recipes keyed by source key, or a list' },
+            dataset: { type: 'string' },
+            key: { type: 'string', enum: IMPORT_KEY_STRATEGIES, default: 'title' },
+            format: { type: 'string', enum: IMPORT_FORMATS },
+            dryRun: { type: 'boolean', default: false }
+          }
+        },
+        responses: { ...ok(object, 'Import report'), ...notFound('File') }
+      })
+    },
+    '/api/admin/import/upload': {
+      post: operation('Admin', 'Import uploaded files', {
+        role: 'admin',
+        content: {
+          'multipart/form-data': {
+            schema: {
+              type: 'object',
+              properties: {
+                file: { type: 'array', items: { type: 'string', format: 'binary' }, maxItems: MAX_UPLOAD_FILES },
+                dataset: { type: 'string' },
+                key: { type: 'string', enum: IMPORT_KEY_STRATEGIES, default: 'title' },
+                format: { type: 'string', enum: IMPORT_FORMATS },
+                dryRun: { type: 'string', enum: ['true', 'false'], default: 'false' }
+              }
+            }
+          }
+        },
+        responses: { ...ok(object, 'Import report per file'), 413: errorResponse(`A file is larger than ${MAX_UPLOAD_BYTES} bytes`) }
+      })
+    },
+    '/api/admin/cache': {
+      get: operation('Admin', 'Response cache statistics', { role: 'admin', responses: ok(object) }),
+      delete: operation('Admin', 'Clear the response cache', { role: 'admin', responses: noContent })
+    },
+    '/api/admin/api-keys': {
+      get: operation('Admin', 'List API keys with their requests today', { role: 'admin', responses: ok(listOf(schemaRef('ApiKey'))) }),
+      post: operation('Admin', 'Issue an API key', {
+        role: 'admin',
+        description: 'The key is only returned in this response.',
+        body: schemaRef('ApiKeyInput'),
+        responses: { ...created(schemaRef('ApiKey')), ...notFound('User') }
+      })
+    },
+    '/api/admin/api-keys/{id}': {
+      patch: operation('Admin', "Rename an API key or change its limits", {
+        role: 'admin',
+        parameters: [pathId()],
+        body: schemaRef('ApiKeyPatch'),
+        responses: { ...ok(schemaRef('ApiKey')), ...notFound('API key') }
+      }),
+      delete: operation('Admin', 'Revoke an API key', { role: 'admin', parameters: [pathId()], responses: { ...noContent, ...notFound('API key') } })
+    },
+    '/api/changes': {
+      get: operation('Changes', 'Recipe changes after a change id', {
+        parameters: [
+          queryParameter('since', { type: 'integer', minimum: 0, default: 0 }, 'Last change id already seen; 0 reads the whole log'),
+          limitParameter(100, CHANGES_PAGE_LIMIT, 'Changes to return')
+        ],
+        responses: ok({
+          type: 'object',
+          properties: {
+            data: { type: 'array', items: schemaRef('Change') },
+            next_since: { type: 'integer', description: 'since for the next call' },
+            has_more: { type: 'boolean' }
+          }
+        })
+      })
+    },
+    '/api/changes/stream': {
+      get: operation('Changes', 'Live Server-Sent Events stream of changes', {
+        description: 'Each event is named after the change event, carries the change id as its id and a Change as JSON data. ' +
+          'A Last-Event-ID header resumes after that change.',
+        parameters: [queryParameter('since', { type: 'integer', minimum: 0 }, 'Start after this change id instead of with the next change')],
+        responses: { 200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } } }
+      })
+    },
+    '/api/admin/webhooks': {
+      get: operation('Admin', 'List webhooks', { role: 'admin', responses: ok(listOf(schemaRef('Webhook'))) }),
+      post: operation('Admin', 'Register a webhook', {
+        role: 'admin',
+        description: 'Deliveries are signed in an X-Webhook-Signature header "t=<unix time>,v1=<hex HMAC-SHA256 of t.body>" and retried with exponential backoff.',
+        body: schemaRef('WebhookInput'),
+        responses: created(schemaRef('Webhook'))
+      })
+    },
+    '/api/admin/webhooks/{id}': {
+      patch: operation('Admin', 'Change or pause a webhook', {
+        role: 'admin',
+        parameters: [pathId()],
+        body: schemaRef('WebhookPatch'),
+        responses: { ...ok(schemaRef('Webhook')), ...notFound('Webhook') }
+      }),
+      delete: operation('Admin', 'Delete a webhook and its deliveries', { role: 'admin', parameters: [pathId()], responses: { ...noContent, ...notFound('Webhook') } })
+    },
+    '/api/admin/webhooks/{id}/deliveries': {
+      get: operation('Admin', "A webhook's deliveries, most recent first", {
+        role: 'admin',
+        parameters: [
+          pathId(),
+          queryParameter('status', { type: 'string', enum: ['pending', 'delivered', 'failed'] }, 'Only deliveries with this status'),
+          ...pageParameters(20, 100)
+        ],
+        responses: { ...ok(listOf(schemaRef('WebhookDelivery'))), ...notFound('Webhook') }
+      })
+    },
+    '/api/admin/webhooks/{id}/deliveries/{deliveryId}/retry': {
+      post: operation('Admin', 'Send an undelivered delivery again now', {
+        role: 'admin',
+        parameters: [pathId(), pathId('deliveryId')],
+        responses: { 202: jsonResponse('Queued', schemaRef('WebhookDelivery')), ...notFound('Delivery') }
+      })
+    },
+    '/api/docs': {
+      get: operation('Docs', 'This document; browsers asking for HTML get an interactive page', { responses: ok(object) })
+    },
+    '/health/live': { get: { tags: ['Health'], summary: 'Liveness', responses: ok(object) } },
+    '/health/ready': { get: { tags: ['Health'], summary: 'Readiness', responses: { ...ok(object), 503: jsonResponse('Not ready', object) } } },
+    '/health': { get: { tags: ['Health'], summary: 'Readiness (alias of /health/ready)', responses: { ...ok(object), 503: jsonResponse('Not ready', object) } } },
+    '/metrics': {
+      get: { tags: ['Health'], summary: 'Prometheus metrics', responses: { 200: { description: 'OK', content: { 'text/plain': { schema: { type: 'string' } } } } } }
+    }
+  }
+};
+
+// Operations by method and Express route path, for validateRequest
+const OPENAPI_OPERATIONS = new Map(Object.entries(OPENAPI_DOCUMENT.paths).flatMap(([docPath, methods]) =>
+  Object.entries(methods).map(([method, spec]) => [`${method} ${docPath.replace(/\{(\w+)\}/g, ':$1')}`, spec])));
+
+const SWAGGER_UI_HTML = `<!DOCTYPE html>
+<html>
+<head>
+  <title>Recipe API</title>
+  <link rel="stylesheet" href="https://unpkg.com/swagger-ui-dist@5/swagger-ui.css">
+</head>
+<body>
+  <div id="docs"></div>
+  <script src="https://unpkg.com/swagger-ui-dist@5/swagger-ui-bundle.js"></script>
+  <script>SwaggerUIBundle({ url: '/api/docs', dom_id: '#docs' });</script>
+</body>
+</html>`;
+
+// The OpenAPI document as JSON, or Swagger UI for browsers
+app.get('/api/docs', (req, res) => {
+  res.format({
+    json: () => res.json(OPENAPI_DOCUMENT),
+    html: () => res.send(SWAGGER_UI_HTML),
+    default: () => res.json(OPENAPI_DOCUMENT)
+  });
+});
+
+// Health checks
+
+const READINESS_DB_TIMEOUT_MS = 2000;
+
+// Startup import of US_recipes.json: pending, running, done, failed or skipped. It runs after
+// the server starts listening, so readiness waits for it.
+const startupImport = { status: 'pending', finishedAt: null };
+
+// Run `SELECT 1`, failing when the database does not answer within the timeout
+const checkDatabase = async () => {
+  const started = Date.now();
+  let timer;
+  try {
+    await Promise.race([
+      pool.query('SELECT 1'),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`No response within ${READINESS_DB_TIMEOUT_MS} ms`)), READINESS_DB_TIMEOUT_MS);
+      })
+    ]);
+    return { status: 'ok', latency_ms: Date.now() - started };
+  } catch (err) {
+    return { status: 'error', error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+// Ready when the database answers and the startup import is no longer pending or running.
+// A failed import does not hold the server back; it is reported in the checks.
+const sendReadiness = async (req, res) => {
+  const database = await checkDatabase();
+  const importFinished = !['pending', 'running'].includes(startupImport.status);
+  const ready = database.status === 'ok' && importFinished;
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'OK' : 'unavailable',
+    checks: {
+      database,
+      import: { status: startupImport.status, finished_at: startupImport.finishedAt }
+    }
+  });
+};
+
+// Liveness: the process is up and serving requests, whatever the state of the database
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'OK', uptime_seconds: Math.round(process.uptime()) });
+});
+
+// Readiness: whether the server should receive traffic. /health answers the same.
+app.get('/health/ready', sendReadiness);
+app.get('/health', sendReadiness);
+
+// Prometheus metrics: request latency and errors per route, pool clients and process stats
+app.get('/metrics', async (req, res) => {
+  try {
+    res.type(metricsRegistry.contentType).send(await metricsRegistry.metrics());
+  } catch (err) {
+    logger.error('Error collecting metrics', { error: err });
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import US_recipes.json in the background after startup, recording the outcome for readiness
+const runStartupImport = async () => {
+  const jsonFilePath = path.join(__dirname, 'US_recipes.json');
+  if (process.env.IMPORT_ON_STARTUP === 'false') {
+    logger.info('Skipping recipe import on startup');
+    startupImport.status = 'skipped';
+  } else if (!fs.existsSync(jsonFilePath)) {
+    logger.warn('US_recipes.json not found. Please add the JSON file to load recipe data.');
+    startupImport.status = 'skipped';
+  } else {
+    startupImport.status = 'running';
+    try {
+      await parseAndInsertRecipes(jsonFilePath);
+      startupImport.status = 'done';
+    } catch (err) {
+      logger.error('Error parsing and inserting recipes', { error: err });
+      startupImport.status = 'failed';
+    }
+  }
+  startupImport.finishedAt = new Date().toISOString();
+};
+
+// Initialize and start server
+const startServer = async () => {
+  try {
+    await ensureSchemaCurrent();
+    
+    app.listen(PORT, () => {
+      logger.info('Server is running', { port: Number(PORT) });
+      startWebhookWorker();
+      runStartupImport();
+    });
+  } catch (err) {
+    logger.error('Error starting server', { error: err });
+    process.exit(1);
+  }
+};
+
+// Parse `--name=value` and `--flag` arguments
+const parseCliArgs = (args) => {
+  const options = {};
+  const positional = [];
+  for (const arg of args) {
+    const match = arg.match(/^--([\w-]+)(?:=(.*))?$/);
+    if (match) {
+      options[match[1]] = match[2] === undefined ? true : match[2];
+    } else {
+      positional.push(arg);
+    }
+  }
+  return { options, positional };
+};
+
+const IMPORT_USAGE = 'Usage: node server.js import <file.json|.jsonld|.csv|.html> [--format=json|jsonld|csv|html] ' +
+  '[--dry-run] [--key=title|source] [--dataset=name] [--batch-size=N] [--report=report.json]';
+
+// Import a file from the command line. The report is printed as JSON,
+// or written to the --report file so it is not mixed with progress logs.
+const runImportCommand = async (args) => {
+  const { options, positional } = parseCliArgs(args);
+  if (positional.length !== 1 || (options.format !== undefined && !IMPORT_FORMATS.includes(options.format))) {
+    console.error(IMPORT_USAGE);
+    process.exit(2);
+  }
+  
+  try {
+    await ensureSchemaCurrent();
+    const report = await parseAndInsertRecipes(path.resolve(positional[0]), {
+      dataset: options.dataset,
+      format: options.format,
+      key: options.key || 'title',
+      dryRun: options['dry-run'] === true,
+      batchSize: parseInt(options['batch-size']) || IMPORT_BATCH_SIZE
+    });
+    const reportJson = JSON.stringify(report, null, 2) + '\n';
+    if (typeof options.report === 'string') {
+      fs.writeFileSync(options.report, reportJson);
+      console.log(`Import report written to ${options.report}`);
+    } else {
+      process.stdout.write(reportJson);
+    }
+  } catch (err) {
+    console.error('Error importing recipes:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+const MIGRATE_USAGE = 'Usage: node server.js migrate <up|down|status> [--to=version] [--steps=N]';
+
+// Apply or revert migrations, or list them with their state
+const runMigrateCommand = async (args) => {
+  const { options, positional } = parseCliArgs(args);
+  const [command] = positional;
+  const to = options.to === undefined ? undefined : parseInt(options.to);
+  const steps = options.steps === undefined ? 1 : parseInt(options.steps);
+  if (positional.length !== 1 || !['up', 'down', 'status'].includes(command) ||
+      (to !== undefined && !(to >= 0)) || !(steps >= 1)) {
+    console.error(MIGRATE_USAGE);
+    process.exit(2);
+  }
+  
+  try {
+    if (command === 'up') {
+      const count = await migrateUp({ to });
+      console.log(count > 0 ? `Applied ${count} migration(s)` : 'No pending migrations');
+    } else if (command === 'down') {
+      const count = await migrateDown({ steps, to });
+      console.log(count > 0 ? `Reverted ${count} migration(s)` : 'No migrations to revert');
+    } else {
+      const client = await pool.connect();
+      try {
+        const status = await readMigrationStatus(client, loadMigrations());
+        const changed = new Set(status.changed.map(migration => migration.version));
+        for (const migration of status.applied) {
+          console.log(`applied  ${migrationLabel(migration)}  ${migration.applied_at.toISOString()}${changed.has(migration.version) ? '  (edited since applied)' : ''}`);
+        }
+        for (const migration of status.pending) {
+          console.log(`pending  ${migrationLabel(migration)}`);
+        }
+        for (const row of status.unknown) {
+          console.log(`unknown  ${migrationLabel(row)}  (no migration file)`);
+        }
+        if (status.pending.length > 0) process.exitCode = 1;
+      } finally {
+        client.release();
+      }
+    }
+  } catch (err) {
+    console.error('Error running migrations:', err.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
   }
 };
 
-startServer();
\ No newline at end of file
+if (process.argv[2] === 'import') {
+  runImportCommand(process.argv.slice(3));
+} else if (process.argv[2] === 'migrate') {
+  runMigrateCommand(process.argv.slice(3));
+} else {
+  startServer();
+}
\ No newline at end of file
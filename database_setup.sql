@@ -1,54 +1,16 @@
 -- Database Setup Script for Recipe API
--- This script creates the necessary database and tables for the recipe application
+-- This script creates the database; the schema itself is managed by migrations
 
 -- Create database (run this as a superuser)
 -- CREATE DATABASE recipes_db;
 
--- Connect to the recipes_db database before running the following commands
+-- Connect to the recipes_db database
 \c recipes_db;
 
--- Create the recipes table
-CREATE TABLE IF NOT EXISTS recipes (
-    id SERIAL PRIMARY KEY,
-    cuisine VARCHAR(100),
-    title VARCHAR(255),
-    rating FLOAT,
-    prep_time INTEGER,
-    cook_time INTEGER,
-    total_time INTEGER,
-    description TEXT,
-    nutrients JSONB,
-    serves VARCHAR(50),
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
--- Create indexes for better performance
-CREATE INDEX IF NOT EXISTS idx_recipes_rating ON recipes(rating);
-CREATE INDEX IF NOT EXISTS idx_recipes_cuisine ON recipes(cuisine);
-CREATE INDEX IF NOT EXISTS idx_recipes_title ON recipes USING gin(to_tsvector('english', title));
-CREATE INDEX IF NOT EXISTS idx_recipes_total_time ON recipes(total_time);
-CREATE INDEX IF NOT EXISTS idx_recipes_nutrients_calories ON recipes USING gin(nutrients);
-
--- Create a view for easier querying with extracted calories
-CREATE OR REPLACE VIEW recipes_with_calories AS
-SELECT 
-    id,
-    cuisine,
-    title,
-    rating,
-    prep_time,
-    cook_time,
-    total_time,
-    description,
-    nutrients,
-    serves,
-    created_at,
-    CASE 
-        WHEN nutrients->>'calories' ~ '^\d+(\.\d+)?'
-        THEN CAST(REGEXP_REPLACE(nutrients->>'calories', '[^\d.]', '', 'g') AS FLOAT)
-        ELSE NULL 
-    END as calories_numeric
-FROM recipes;
+-- Tables, indexes and views are created by the numbered migrations in migrations/.
+-- Apply them with the server's migrate command (which also records them in schema_migrations):
+--   npm run migrate up
+-- or start the server once with MIGRATE_ON_STARTUP=true.
 
 -- Sample queries to test the setup
 
@@ -64,6 +26,11 @@ FROM recipes;
 -- Get recipes by cuisine
 -- SELECT title, rating, total_time FROM recipes WHERE cuisine = 'Southern Recipes' ORDER BY rating DESC;
 
+-- Recipes with chicken but without peanuts
+-- SELECT title FROM recipes r
+-- WHERE EXISTS (SELECT 1 FROM recipe_ingredients ri WHERE ri.recipe_id = r.id AND ri.name ILIKE '%chicken%')
+-- AND NOT EXISTS (SELECT 1 FROM recipe_ingredients ri WHERE ri.recipe_id = r.id AND ri.name ILIKE '%peanut%');
+
 -- Complex search example
 -- SELECT title, cuisine, rating, total_time, nutrients->>'calories' as calories 
 -- FROM recipes_with_calories 
@@ -0,0 +1,13 @@
+-- Removes the whole baseline schema, including every recipe, user and plan
+DROP VIEW IF EXISTS recipes_with_calories;
+DROP TABLE IF EXISTS meal_plan_slots;
+DROP TABLE IF EXISTS meal_plans;
+DROP TABLE IF EXISTS collection_recipes;
+DROP TABLE IF EXISTS collections;
+DROP TABLE IF EXISTS favorites;
+DROP TABLE IF EXISTS recipe_reviews;
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS users;
+DROP TABLE IF EXISTS recipe_instructions;
+DROP TABLE IF EXISTS recipe_ingredients;
+DROP TABLE IF EXISTS recipes;
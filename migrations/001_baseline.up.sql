@@ -0,0 +1,169 @@
+-- Baseline: the schema created by the server and by database_setup.sql before migrations existed.
+-- Every statement is guarded so databases set up by either of them adopt it without changes.
+
+CREATE TABLE IF NOT EXISTS recipes (
+    id SERIAL PRIMARY KEY,
+    cuisine VARCHAR(100),
+    title VARCHAR(255),
+    rating FLOAT,
+    prep_time INTEGER,
+    cook_time INTEGER,
+    total_time INTEGER,
+    description TEXT,
+    nutrients JSONB,
+    serves VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Natural key used by the importer to upsert recipes (NULL for recipes created through the API)
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS import_key TEXT;
+
+-- User reviews. `rating` holds the review average, falling back to the imported or
+-- edited rating kept in source_rating while a recipe has no reviews.
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS source_rating FLOAT;
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+UPDATE recipes SET source_rating = rating WHERE source_rating IS NULL AND review_count = 0 AND rating IS NOT NULL;
+
+-- Numeric servings parsed from `serves` ("Serves 6 to 8" -> 6), and nutrients split into
+-- { "value": 389, "unit": "kcal" } pairs; both are filled in by the server on every write
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS servings FLOAT;
+ALTER TABLE recipes ADD COLUMN IF NOT EXISTS nutrition JSONB;
+
+-- Ingredients and ordered instruction steps
+CREATE TABLE IF NOT EXISTS recipe_ingredients (
+    recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    quantity FLOAT,
+    unit VARCHAR(50),
+    name TEXT NOT NULL,
+    text TEXT NOT NULL,
+    PRIMARY KEY (recipe_id, position)
+);
+
+CREATE TABLE IF NOT EXISTS recipe_instructions (
+    recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+    step_number INTEGER NOT NULL,
+    text TEXT NOT NULL,
+    PRIMARY KEY (recipe_id, step_number)
+);
+
+-- User accounts and issued refresh tokens (revoked on logout and on rotation)
+CREATE TABLE IF NOT EXISTS users (
+    id SERIAL PRIMARY KEY,
+    email VARCHAR(255) NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'viewer' CHECK (role IN ('viewer', 'editor', 'admin')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    jti UUID PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS recipe_reviews (
+    id SERIAL PRIMARY KEY,
+    recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    score INTEGER NOT NULL CHECK (score BETWEEN 1 AND 5),
+    text TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (recipe_id, user_id)
+);
+
+-- Per-user favorites and ordered collections; share_token enables a public read-only link
+CREATE TABLE IF NOT EXISTS favorites (
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (user_id, recipe_id)
+);
+
+CREATE TABLE IF NOT EXISTS collections (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    position INTEGER NOT NULL,
+    share_token TEXT UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS collection_recipes (
+    collection_id INTEGER NOT NULL REFERENCES collections(id) ON DELETE CASCADE,
+    recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (collection_id, recipe_id)
+);
+
+-- Meal plans: per-user plans of day/meal slots pointing at recipes. `targets` holds daily
+-- nutrient limits ({"calories": 2000}) in the units the nutrients are stored in.
+CREATE TABLE IF NOT EXISTS meal_plans (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    start_date DATE NOT NULL,
+    days INTEGER NOT NULL DEFAULT 7 CHECK (days BETWEEN 1 AND 31),
+    targets JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS meal_plan_slots (
+    plan_id INTEGER NOT NULL REFERENCES meal_plans(id) ON DELETE CASCADE,
+    day INTEGER NOT NULL CHECK (day >= 0),
+    meal VARCHAR(20) NOT NULL CHECK (meal IN ('breakfast', 'lunch', 'dinner', 'snack')),
+    recipe_id INTEGER NOT NULL REFERENCES recipes(id) ON DELETE CASCADE,
+    servings FLOAT NOT NULL DEFAULT 1 CHECK (servings > 0),
+    PRIMARY KEY (plan_id, day, meal)
+);
+
+-- Indexes from both earlier schema definitions
+CREATE UNIQUE INDEX IF NOT EXISTS idx_recipes_import_key ON recipes(import_key);
+CREATE INDEX IF NOT EXISTS idx_recipes_rating ON recipes(rating);
+CREATE INDEX IF NOT EXISTS idx_recipes_cuisine ON recipes(cuisine);
+CREATE INDEX IF NOT EXISTS idx_recipes_title ON recipes USING gin(to_tsvector('english', title));
+CREATE INDEX IF NOT EXISTS idx_recipes_total_time ON recipes(total_time);
+-- Matches the default listing order (rating descending, missing ratings last, then id)
+CREATE INDEX IF NOT EXISTS idx_recipes_rating_order ON recipes((rating IS NULL), rating DESC, id);
+-- Weighted full-text document used by the search `q` parameter. It must stay identical
+-- to SEARCH_VECTOR_SQL in the server for queries to use it.
+CREATE INDEX IF NOT EXISTS idx_recipes_search ON recipes USING gin((
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(cuisine, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C')
+));
+CREATE INDEX IF NOT EXISTS idx_recipes_nutrients_calories ON recipes USING gin(nutrients);
+CREATE INDEX IF NOT EXISTS idx_recipe_ingredients_name ON recipe_ingredients(LOWER(name));
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_recipe_reviews_recipe ON recipe_reviews(recipe_id, updated_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_collections_user_id ON collections(user_id, position);
+CREATE INDEX IF NOT EXISTS idx_collection_recipes_recipe_id ON collection_recipes(recipe_id);
+CREATE INDEX IF NOT EXISTS idx_meal_plans_user_id ON meal_plans(user_id);
+
+-- Recipes with the leading number of their calories string, for ad-hoc queries
+CREATE OR REPLACE VIEW recipes_with_calories AS
+SELECT
+    id,
+    cuisine,
+    title,
+    rating,
+    prep_time,
+    cook_time,
+    total_time,
+    description,
+    nutrients,
+    serves,
+    created_at,
+    CASE
+        WHEN nutrients->>'calories' ~ '^\d+(\.\d+)?'
+        THEN CAST(REGEXP_REPLACE(nutrients->>'calories', '[^\d.]', '', 'g') AS FLOAT)
+        ELSE NULL
+    END as calories_numeric
+FROM recipes;
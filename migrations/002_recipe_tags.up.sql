@@ -0,0 +1,5 @@
+-- Dietary and nutrition tags ("high-protein", "quick", ...) derived from nutrients and times by the
+-- server's tag rules. They are filled in when the server next starts and kept current on every write.
+ALTER TABLE recipes ADD COLUMN tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX idx_recipes_tags ON recipes USING gin(tags);
@@ -0,0 +1,22 @@
+-- API keys for external consumers. Requests sent with a key act as the key's user. Only a SHA-256
+-- hash of each key is stored, with its first characters in `prefix` so it can be recognized.
+-- A NULL rate_limit (requests per minute) or daily_quota uses the server default.
+CREATE TABLE api_keys (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    prefix VARCHAR(16) NOT NULL,
+    key_hash CHAR(64) NOT NULL UNIQUE,
+    rate_limit INTEGER CHECK (rate_limit > 0),
+    daily_quota INTEGER CHECK (daily_quota > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    revoked_at TIMESTAMP
+);
+
+-- Requests made with each key per UTC day, counted against its daily quota
+CREATE TABLE api_key_usage (
+    api_key_id INTEGER NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    day DATE NOT NULL,
+    requests INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (api_key_id, day)
+);
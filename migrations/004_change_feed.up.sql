@@ -0,0 +1,41 @@
+-- Log of recipe writes for the change feed (GET /api/changes, the event stream and webhooks).
+-- recipe_id is kept after the recipe is deleted, so it has no foreign key.
+CREATE TABLE recipe_changes (
+    id SERIAL PRIMARY KEY,
+    event VARCHAR(30) NOT NULL,
+    recipe_id INTEGER,
+    source VARCHAR(20) NOT NULL,
+    data JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_recipe_changes_recipe_id ON recipe_changes(recipe_id);
+
+-- Outgoing webhooks. An empty `events` list subscribes to every event.
+CREATE TABLE webhooks (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret VARCHAR(100) NOT NULL,
+    events TEXT[] NOT NULL DEFAULT '{}',
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per change to send to each subscribed webhook, queued in the transaction that
+-- records the change and retried until delivered or out of attempts
+CREATE TABLE webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    webhook_id INTEGER NOT NULL REFERENCES webhooks(id) ON DELETE CASCADE,
+    change_id INTEGER NOT NULL REFERENCES recipe_changes(id) ON DELETE CASCADE,
+    status VARCHAR(10) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    response_status INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (webhook_id, change_id)
+);
+
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
@@ -0,0 +1,15 @@
+-- Named searches saved by each user. `query` holds the search filters and sort as they are
+-- sent to GET /api/recipes/search. Recipes with an id above seen_recipe_id were added since
+-- the search was last run; they are counted as new matches when `notify` is set.
+CREATE TABLE saved_searches (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    query JSONB NOT NULL DEFAULT '{}',
+    notify BOOLEAN NOT NULL DEFAULT FALSE,
+    seen_recipe_id INTEGER NOT NULL DEFAULT 0,
+    last_run_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, name)
+);